@@ -8,9 +8,13 @@ class APIService {
     async getProducts(filters = {}) {
         try {
             const queryParams = new URLSearchParams();
-            if (filters.category) queryParams.append('category', filters.category);
-            if (filters.subcategory) queryParams.append('subcategory', filters.subcategory);
-            if (filters.search) queryParams.append('search', filters.search);
+            ['category', 'subcategory', 'search', 'minPrice', 'maxPrice', 'inStock', 'tags', 'sort', 'page', 'limit']
+                .forEach(key => {
+                    const value = Array.isArray(filters[key]) ? filters[key].join(',') : filters[key];
+                    if (value !== undefined && value !== null && value !== '') {
+                        queryParams.append(key, value);
+                    }
+                });
 
             const url = `${this.baseURL}/products${queryParams.toString() ? '?' + queryParams.toString() : ''}`;
             const response = await fetch(url);
@@ -26,6 +30,86 @@ class APIService {
         }
     }
 
+    // Autocomplete suggestions for the search box
+    async suggestProducts(query) {
+        try {
+            const response = await fetch(`${this.baseURL}/products/suggest?q=${encodeURIComponent(query)}`);
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                throw new Error('Failed to fetch suggestions');
+            }
+        } catch (error) {
+            console.error('Get suggestions error:', error);
+            throw error;
+        }
+    }
+
+    // Get a product's visible reviews (sort: newest, oldest, highest, lowest)
+    async getReviews(productId, options = {}) {
+        try {
+            const queryParams = new URLSearchParams();
+            if (options.sort) queryParams.append('sort', options.sort);
+            if (options.rating) queryParams.append('rating', options.rating);
+            if (options.page) queryParams.append('page', options.page);
+            if (options.limit) queryParams.append('limit', options.limit);
+
+            const url = `${this.baseURL}/products/${productId}/reviews${queryParams.toString() ? '?' + queryParams.toString() : ''}`;
+            const response = await fetch(url);
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                throw new Error('Failed to fetch reviews');
+            }
+        } catch (error) {
+            console.error('Get reviews error:', error);
+            throw error;
+        }
+    }
+
+    // Add or edit my review of a delivered product
+    async submitReview(productId, review) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/products/${productId}/reviews`, {
+                method: 'POST',
+                body: JSON.stringify(review)
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                const details = error.details ? error.details.map(detail => detail.msg).join('\n') : '';
+                throw new Error(details || error.error || 'Failed to save review');
+            }
+        } catch (error) {
+            console.error('Submit review error:', error);
+            throw error;
+        }
+    }
+
+    // Check whether we deliver to a pincode and by when
+    async checkDelivery(pincode, tailored = false) {
+        try {
+            const queryParams = new URLSearchParams({ pincode });
+            if (tailored) queryParams.append('tailored', 'true');
+
+            const response = await fetch(`${this.baseURL}/delivery/check?${queryParams.toString()}`);
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to check delivery');
+            }
+        } catch (error) {
+            console.error('Check delivery error:', error);
+            throw error;
+        }
+    }
+
     // Get single product
     async getProduct(productId) {
         try {
@@ -78,6 +162,277 @@ class APIService {
         }
     }
 
+    // Change the quantity of a cart item; returns the updated cart
+    async updateCartItem(productId, quantity) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/cart/update`, {
+                method: 'PUT',
+                body: JSON.stringify({ productId, quantity })
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to update cart');
+            }
+        } catch (error) {
+            console.error('Update cart error:', error);
+            throw error;
+        }
+    }
+
+    // Remove an item from the cart; returns the updated cart
+    async removeCartItem(productId) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/cart/remove/${productId}`, {
+                method: 'DELETE'
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to remove from cart');
+            }
+        } catch (error) {
+            console.error('Remove from cart error:', error);
+            throw error;
+        }
+    }
+
+    // Move a cart item to the wishlist; returns the updated cart and wishlist
+    async saveForLater(productId) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/cart/save-for-later`, {
+                method: 'POST',
+                body: JSON.stringify({ productId })
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to save for later');
+            }
+        } catch (error) {
+            console.error('Save for later error:', error);
+            throw error;
+        }
+    }
+
+    // Get the wishlist with today's prices
+    async getWishlist() {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/wishlist`);
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                throw new Error('Failed to fetch wishlist');
+            }
+        } catch (error) {
+            console.error('Get wishlist error:', error);
+            throw error;
+        }
+    }
+
+    // Save a product to the wishlist
+    async addToWishlist(productId) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/wishlist/add`, {
+                method: 'POST',
+                body: JSON.stringify({ productId })
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to add to wishlist');
+            }
+        } catch (error) {
+            console.error('Add to wishlist error:', error);
+            throw error;
+        }
+    }
+
+    // Remove a product from the wishlist; returns the updated wishlist
+    async removeFromWishlist(productId) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/wishlist/remove/${productId}`, {
+                method: 'DELETE'
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to remove from wishlist');
+            }
+        } catch (error) {
+            console.error('Remove from wishlist error:', error);
+            throw error;
+        }
+    }
+
+    // Move a wishlist item to the cart; returns the updated cart and wishlist
+    async moveToCart(productId, quantity = 1) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/wishlist/move-to-cart`, {
+                method: 'POST',
+                body: JSON.stringify({ productId, quantity })
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to move to cart');
+            }
+        } catch (error) {
+            console.error('Move to cart error:', error);
+            throw error;
+        }
+    }
+
+    // Get server-side pricing for products before ordering
+    async getPriceQuote(products, couponCode, pincode) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/pricing/quote`, {
+                method: 'POST',
+                body: JSON.stringify({ products, couponCode, pincode })
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to get price');
+            }
+        } catch (error) {
+            console.error('Get price quote error:', error);
+            throw error;
+        }
+    }
+
+    // Preview a coupon on the cart, or on the given products; a pincode adds its delivery surcharge
+    async applyCoupon(code, products, pincode) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/cart/apply-coupon`, {
+                method: 'POST',
+                body: JSON.stringify({ code, products, pincode })
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to apply coupon');
+            }
+        } catch (error) {
+            console.error('Apply coupon error:', error);
+            throw error;
+        }
+    }
+
+    // Start a new payment for an unpaid online order
+    async payOrder(orderId) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/orders/${orderId}/pay`, {
+                method: 'POST'
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to start payment');
+            }
+        } catch (error) {
+            console.error('Pay order error:', error);
+            throw error;
+        }
+    }
+
+    // Finish a mock gateway payment (development only)
+    async simulatePayment(intentId, outcome) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/payments/mock/${intentId}/complete`, {
+                method: 'POST',
+                body: JSON.stringify({ outcome })
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to complete payment');
+            }
+        } catch (error) {
+            console.error('Simulate payment error:', error);
+            throw error;
+        }
+    }
+
+    // Take the customer through the gateway; resolves to 'Paid', 'Failed' or 'Redirected'
+    async completePayment(payment) {
+        if (payment.checkoutUrl) {
+            window.location.href = payment.checkoutUrl;
+            return 'Redirected';
+        }
+
+        if (payment.provider === 'mock') {
+            const approved = confirm(`Test payment of $${payment.amount}.\nOK to simulate a successful payment, Cancel to simulate a failure.`);
+            const result = await this.simulatePayment(payment.intentId, approved ? 'succeeded' : 'failed');
+            return result.paymentStatus;
+        }
+
+        throw new Error(`Unsupported payment provider ${payment.provider}`);
+    }
+
+    // Get payment history (filters: page, limit, from, to, type)
+    async getPayments(filters = {}) {
+        try {
+            const queryParams = new URLSearchParams();
+            if (filters.page) queryParams.append('page', filters.page);
+            if (filters.limit) queryParams.append('limit', filters.limit);
+            if (filters.from) queryParams.append('from', filters.from);
+            if (filters.to) queryParams.append('to', filters.to);
+            if (filters.type) queryParams.append('type', filters.type);
+
+            const url = `${this.baseURL}/user/payments${queryParams.toString() ? '?' + queryParams.toString() : ''}`;
+            const response = await authService.makeAuthenticatedRequest(url);
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to fetch payments');
+            }
+        } catch (error) {
+            console.error('Get payments error:', error);
+            throw error;
+        }
+    }
+
+    // Get an order's GST invoice as an HTML blob
+    async getInvoice(orderId) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/orders/${orderId}/invoice`);
+
+            if (response.ok) {
+                return await response.blob();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to get invoice');
+            }
+        } catch (error) {
+            console.error('Get invoice error:', error);
+            throw error;
+        }
+    }
+
     // Create order
     async createOrder(orderData) {
         try {
@@ -90,7 +445,12 @@ class APIService {
                 return await response.json();
             } else {
                 const error = await response.json();
-                throw new Error(error.error || 'Failed to create order');
+                const orderError = new Error(error.error || 'Failed to create order');
+                orderError.details = error.details;
+                orderError.warnings = error.warnings;
+                orderError.pricing = error.pricing;
+                orderError.field = error.field;
+                throw orderError;
             }
         } catch (error) {
             console.error('Create order error:', error);
@@ -114,6 +474,80 @@ class APIService {
         }
     }
 
+    // Get single order
+    async getOrder(orderId) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/orders/${orderId}`);
+            
+            if (response.ok) {
+                return await response.json();
+            } else {
+                throw new Error('Failed to fetch order');
+            }
+        } catch (error) {
+            console.error('Get order error:', error);
+            throw error;
+        }
+    }
+
+    // Cancel an order
+    async cancelOrder(orderId, reason, comment) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/orders/${orderId}/cancel`, {
+                method: 'POST',
+                body: JSON.stringify({ reason, comment })
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to cancel order');
+            }
+        } catch (error) {
+            console.error('Cancel order error:', error);
+            throw error;
+        }
+    }
+
+    // Get return / alteration requests
+    async getReturnRequests() {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/returns`);
+            
+            if (response.ok) {
+                return await response.json();
+            } else {
+                throw new Error('Failed to fetch requests');
+            }
+        } catch (error) {
+            console.error('Get return requests error:', error);
+            throw error;
+        }
+    }
+
+    // File a return / alteration / exchange request
+    async createReturnRequest(requestData) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/returns`, {
+                method: 'POST',
+                body: JSON.stringify(requestData)
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                const requestError = new Error(error.error || 'Failed to submit request');
+                requestError.details = error.details;
+                throw requestError;
+            }
+        } catch (error) {
+            console.error('Create return request error:', error);
+            throw error;
+        }
+    }
+
     // Get user profile
     async getUserProfile() {
         try {
@@ -129,6 +563,205 @@ class APIService {
             throw error;
         }
     }
+
+    // Turn two-step login (emailed code after the password) on or off; turning it off needs the current password
+    async setTwoFactor(enabled, currentPassword) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/user/two-factor`, {
+                method: 'PUT',
+                body: JSON.stringify({ enabled, currentPassword })
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to update two-step login');
+            }
+        } catch (error) {
+            console.error('Set two-factor error:', error);
+            throw error;
+        }
+    }
+
+    // Change password; the current one is required
+    async changePassword(currentPassword, newPassword) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/user/change-password`, {
+                method: 'POST',
+                body: JSON.stringify({ currentPassword, newPassword })
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                const details = error.details ? error.details.map(detail => detail.msg).join('\n') : '';
+                throw new Error(details || error.error || 'Failed to change password');
+            }
+        } catch (error) {
+            console.error('Change password error:', error);
+            throw error;
+        }
+    }
+
+    // Ask to change email; a confirmation link goes to the new address
+    async changeEmail(newEmail, currentPassword) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/user/change-email`, {
+                method: 'POST',
+                body: JSON.stringify({ newEmail, currentPassword })
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                const details = error.details ? error.details.map(detail => detail.msg).join('\n') : '';
+                throw new Error(details || error.error || 'Failed to change email');
+            }
+        } catch (error) {
+            console.error('Change email error:', error);
+            throw error;
+        }
+    }
+
+    // Check measurements on the server before ordering
+    async validateMeasurements(measurements, unit = 'inches', garmentType) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/measurements/validate`, {
+                method: 'POST',
+                body: JSON.stringify({ measurements, unit, garmentType })
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to validate measurements');
+            }
+        } catch (error) {
+            console.error('Validate measurements error:', error);
+            throw error;
+        }
+    }
+
+    // Get saved measurement profiles
+    async getMeasurementProfiles() {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/user/measurements`);
+            
+            if (response.ok) {
+                return await response.json();
+            } else {
+                throw new Error('Failed to fetch measurement profiles');
+            }
+        } catch (error) {
+            console.error('Get measurement profiles error:', error);
+            throw error;
+        }
+    }
+
+    // Create or update a measurement profile
+    async saveMeasurementProfile(profileData, profileId = null) {
+        try {
+            const url = profileId
+                ? `${this.baseURL}/user/measurements/${profileId}`
+                : `${this.baseURL}/user/measurements`;
+            const response = await authService.makeAuthenticatedRequest(url, {
+                method: profileId ? 'PUT' : 'POST',
+                body: JSON.stringify(profileData)
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to save measurement profile');
+            }
+        } catch (error) {
+            console.error('Save measurement profile error:', error);
+            throw error;
+        }
+    }
+
+    // Delete a measurement profile
+    async deleteMeasurementProfile(profileId) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/user/measurements/${profileId}`, {
+                method: 'DELETE'
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to delete measurement profile');
+            }
+        } catch (error) {
+            console.error('Delete measurement profile error:', error);
+            throw error;
+        }
+    }
+
+    // Get saved delivery addresses, default first
+    async getAddresses() {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/user/addresses`);
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                throw new Error('Failed to fetch addresses');
+            }
+        } catch (error) {
+            console.error('Get addresses error:', error);
+            throw error;
+        }
+    }
+
+    // Create or update a saved address
+    async saveAddress(addressData, addressId = null) {
+        try {
+            const url = addressId
+                ? `${this.baseURL}/user/addresses/${addressId}`
+                : `${this.baseURL}/user/addresses`;
+            const response = await authService.makeAuthenticatedRequest(url, {
+                method: addressId ? 'PUT' : 'POST',
+                body: JSON.stringify(addressData)
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                const details = error.details ? error.details.map(detail => detail.msg).join('\n') : '';
+                throw new Error(details || error.error || 'Failed to save address');
+            }
+        } catch (error) {
+            console.error('Save address error:', error);
+            throw error;
+        }
+    }
+
+    // Delete a saved address
+    async deleteAddress(addressId) {
+        try {
+            const response = await authService.makeAuthenticatedRequest(`${this.baseURL}/user/addresses/${addressId}`, {
+                method: 'DELETE'
+            });
+
+            if (response.ok) {
+                return await response.json();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to delete address');
+            }
+        } catch (error) {
+            console.error('Delete address error:', error);
+            throw error;
+        }
+    }
 }
 
 // Create global API service instance
@@ -3,6 +3,7 @@ class AuthService {
     constructor() {
         this.baseURL = '/api';
         this.token = localStorage.getItem('authToken');
+        this.refreshPromise = null;
     }
 
     // Set authentication token
@@ -11,18 +12,62 @@ class AuthService {
         localStorage.setItem('authToken', token);
     }
 
-    // Get authentication token
+    // Get authentication token (another tab may have refreshed it, so read storage first)
     getToken() {
-        return this.token || localStorage.getItem('authToken');
+        return localStorage.getItem('authToken') || this.token;
+    }
+
+    // Store the access token and refresh token from a login or refresh
+    setSession(data) {
+        this.setToken(data.token);
+        if (data.refreshToken) {
+            localStorage.setItem('refreshToken', data.refreshToken);
+        }
     }
 
     // Remove authentication token
     removeToken() {
         this.token = null;
         localStorage.removeItem('authToken');
+        localStorage.removeItem('refreshToken');
         localStorage.removeItem('user');
     }
 
+    // Swap the refresh token for a new pair; concurrent callers share one request
+    refreshSession() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.doRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    async doRefresh() {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) return false;
+
+        try {
+            const response = await fetch(`${this.baseURL}/auth/refresh`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ refreshToken })
+            });
+
+            if (response.ok) {
+                this.setSession(await response.json());
+                return true;
+            }
+            // Another tab may have rotated the token while we were waiting
+            return localStorage.getItem('refreshToken') !== refreshToken;
+        } catch (error) {
+            console.error('Refresh session error:', error);
+            return false;
+        }
+    }
+
     // Check if user is authenticated
     isAuthenticated() {
         return !!this.getToken();
@@ -46,17 +91,22 @@ class AuthService {
             throw new Error('No authentication token found');
         }
 
-        const headers = {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}`,
-            ...options.headers
-        };
-
-        const response = await fetch(url, {
+        const send = accessToken => fetch(url, {
             ...options,
-            headers
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${accessToken}`,
+                ...options.headers
+            }
         });
 
+        let response = await send(token);
+
+        // The access token is short-lived: refresh it once and retry
+        if (response.status === 401 && await this.refreshSession()) {
+            response = await send(this.getToken());
+        }
+
         if (response.status === 401) {
             this.removeToken();
             window.location.href = '/login.html';
@@ -80,11 +130,14 @@ class AuthService {
             const data = await response.json();
 
             if (response.ok) {
-                this.setToken(data.token);
-                this.setCurrentUser(data.user);
+                // With two-step login the token only arrives after the emailed code is verified
+                if (!data.otpRequired) {
+                    this.setSession(data);
+                    this.setCurrentUser(data.user);
+                }
                 return { success: true, data };
             } else {
-                return { success: false, error: data.error };
+                return { success: false, error: data.error, data };
             }
         } catch (error) {
             console.error('Login error:', error);
@@ -108,7 +161,9 @@ class AuthService {
             if (response.ok) {
                 return { success: true, data };
             } else {
-                return { success: false, error: data.error };
+                // Spell out which fields failed, e.g. each unmet password rule
+                const details = data.details ? data.details.map(detail => detail.msg).join('\n') : '';
+                return { success: false, error: details || data.error };
             }
         } catch (error) {
             console.error('Registration error:', error);
@@ -116,8 +171,68 @@ class AuthService {
         }
     }
 
-    // Logout user
-    logout() {
+    // Email a one-time code ('verify-email' or 'login')
+    async sendOtp(email, purpose = 'verify-email') {
+        try {
+            const response = await fetch(`${this.baseURL}/auth/otp/send`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ email, purpose })
+            });
+
+            const data = await response.json();
+            return { success: response.ok, data, error: data.error };
+        } catch (error) {
+            console.error('Send OTP error:', error);
+            return { success: false, error: 'Network error occurred' };
+        }
+    }
+
+    // Verify a one-time code: { code, email } for email verification, { code, otpToken, purpose: 'login' } for login
+    async verifyOtp(details) {
+        try {
+            const response = await fetch(`${this.baseURL}/auth/otp/verify`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(details)
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                if (data.token) {
+                    this.setSession(data);
+                    this.setCurrentUser(data.user);
+                }
+                return { success: true, data };
+            } else {
+                return { success: false, error: data.error, data };
+            }
+        } catch (error) {
+            console.error('Verify OTP error:', error);
+            return { success: false, error: 'Network error occurred' };
+        }
+    }
+
+    // Logout user; the server revokes the session (or every session with allDevices)
+    async logout(allDevices = false) {
+        try {
+            const token = this.getToken();
+            await fetch(`${this.baseURL}/auth/logout`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+                },
+                body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken'), allDevices })
+            });
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
         this.removeToken();
         window.location.href = '/login.html';
     }
@@ -159,6 +274,25 @@ class AuthService {
             return { success: false, error: 'Network error occurred' };
         }
     }
+
+    // Confirm an email change from the emailed link
+    async confirmEmailChange(token) {
+        try {
+            const response = await fetch(`${this.baseURL}/auth/confirm-email-change`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ token })
+            });
+
+            const data = await response.json();
+            return { success: response.ok, data };
+        } catch (error) {
+            console.error('Confirm email change error:', error);
+            return { success: false, error: 'Network error occurred' };
+        }
+    }
 }
 
 // Create global auth service instance
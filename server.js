@@ -4,7 +4,9 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const nodemailer = require('nodemailer');
 const mongoose = require('mongoose');
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
@@ -25,9 +27,31 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Stricter per-IP limit for login and password reset
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.AUTH_RATE_LIMIT) || 10,
+  message: { error: 'Too many attempts from this network. Please try again later.' }
+});
+
+// Stricter limit for sending and checking one-time codes
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { error: 'Too many verification requests. Please try again later.' }
+});
+
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.static('frontend'));
 
 // MongoDB Connection with better error handling
@@ -38,6 +62,19 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tailoring
 .then(() => console.log('✅ Connected to MongoDB'))
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
+// Saved delivery address, kept in the user's address book
+const addressSchema = new mongoose.Schema({
+  label: { type: String, required: true, trim: true, maxlength: 30 }, // Home, Office, Parents...
+  name: { type: String, required: true, trim: true },
+  phone: { type: String, required: true, trim: true },
+  pincode: { type: String, required: true, trim: true },
+  address: { type: String, required: true, trim: true },
+  state: { type: String, trim: true },
+  isDefault: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
 // Enhanced User Schema
 const userSchema = new mongoose.Schema({
   firstname: { type: String, required: true, trim: true },
@@ -53,14 +90,25 @@ const userSchema = new mongoose.Schema({
   address2: { type: String, required: true, trim: true },
   phone: { type: String, required: true, trim: true },
   alternatePhone: { type: String, required: true, trim: true },
+  role: { type: String, enum: ['customer', 'tailor', 'admin'], default: 'customer' },
+  emailVerified: { type: Boolean }, // Unset on accounts created before email verification
+  twoFactorEnabled: { type: Boolean, default: false }, // Email a login code after the password
+  failedLoginAttempts: { type: Number, default: 0 }, // Since the last successful login
+  lastFailedLoginAt: { type: Date },
+  lockUntil: { type: Date },
+  addresses: [addressSchema], // Address book; the registration address stays on the fields above
   isActive: { type: Boolean, default: true },
   lastLogin: { type: Date },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+// GST slabs (%) a product can be taxed at
+const GST_RATES = [0, 5, 12, 18, 28];
+
 // Enhanced Product Schema
 const productSchema = new mongoose.Schema({
+  sku: { type: String, unique: true, sparse: true, trim: true, uppercase: true }, // Stable id for imports
   name: { type: String, required: true, trim: true },
   description: { type: String, required: true, trim: true },
   price: { type: Number, required: true, min: 0 },
@@ -69,16 +117,34 @@ const productSchema = new mongoose.Schema({
   image: { type: String, required: true },
   images: [{ type: String }], // Multiple images
   inStock: { type: Boolean, default: true },
-  stockQuantity: { type: Number, default: 100 },
+  stockQuantity: { type: Number, default: 100, min: 0 },
   discount: { type: Number, default: 0, min: 0, max: 100 },
   deliveryDays: { type: String, default: '4-5 DAYS' },
   deliveryCharge: { type: Number, default: 3 },
-  rating: { type: Number, default: 0, min: 0, max: 5 },
+  hsnCode: { type: String, trim: true }, // HSN code printed on GST invoices
+  gstRate: { // Falls back to TAX_RATE when not set
+    type: Number,
+    validate: {
+      validator: value => value === undefined || value === null || GST_RATES.includes(value),
+      message: `GST rate must be one of ${GST_RATES.join(', ')}`
+    }
+  },
+  rating: { type: Number, default: 0, min: 0, max: 5 }, // Average of visible reviews
+  reviewCount: { type: Number, default: 0 }, // Visible reviews only
   reviews: [{
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     rating: { type: Number, required: true, min: 1, max: 5 },
+    title: { type: String, trim: true },
     comment: { type: String, trim: true },
-    date: { type: Date, default: Date.now }
+    verifiedPurchase: { type: Boolean, default: false },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }, // Delivered order that allowed the review
+    date: { type: Date, default: Date.now },
+    updatedAt: { type: Date },
+    // Moderation: hidden reviews are kept but not shown or counted
+    isHidden: { type: Boolean, default: false },
+    hiddenReason: { type: String, trim: true },
+    hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    hiddenAt: { type: Date }
   }],
   tags: [{ type: String, trim: true }],
   isActive: { type: Boolean, default: true },
@@ -86,6 +152,55 @@ const productSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 });
 
+// Catalog search: a match in the name counts most, then tags, then category, then description
+productSchema.index(
+  { name: 'text', tags: 'text', category: 'text', subcategory: 'text', description: 'text' },
+  { name: 'product_search', weights: { name: 10, tags: 5, category: 3, subcategory: 3, description: 1 } }
+);
+
+// Body measurement fields shared by orders and saved measurement profiles
+const MEASUREMENT_FIELDS = [
+  'chest', 'waist', 'shoulder', 'armLength', 'neckSize', 'bicep', 'wrist',
+  'shirtLength', 'pantWaist', 'pantLength', 'thigh', 'knee', 'ankle', 'rise'
+];
+const MEASUREMENT_UNITS = ['cm', 'inches'];
+const GARMENT_TYPES = ['shirt', 'pant', 'suit'];
+
+// True when an order line carries at least one measurement, i.e. it is stitched to order
+const hasMeasurements = line => Boolean(line.measurements) && MEASUREMENT_FIELDS.some(key => line.measurements[key]);
+
+const measurementFields = MEASUREMENT_FIELDS.reduce((fields, key) => {
+  fields[key] = String;
+  return fields;
+}, {});
+
+// Order status workflow: each status lists the statuses it may move to
+const ORDER_STATUSES = ['Placed', 'Confirmed', 'Processing', 'Shipped', 'Delivered', 'Cancelled'];
+const ORDER_STATUS_TRANSITIONS = {
+  Placed: ['Confirmed', 'Cancelled'],
+  Confirmed: ['Processing', 'Cancelled'],
+  Processing: ['Shipped', 'Cancelled'],
+  Shipped: ['Delivered'],
+  Delivered: [],
+  Cancelled: []
+};
+
+const CANCELLATION_REASONS = [
+  'Ordered by mistake',
+  'Found a better price',
+  'Delivery is taking too long',
+  'Want to change measurements',
+  'Want to change delivery address',
+  'Other'
+];
+
+const PAYMENT_METHODS = ['Cash on Delivery', 'Credit/Debit Card', 'UPI'];
+// Paid through the payment gateway before the order is confirmed
+const ONLINE_PAYMENT_METHODS = ['Credit/Debit Card', 'UPI'];
+
+// Workshop stages for custom-stitched order lines, in order
+const PRODUCTION_STAGES = ['Fabric Received', 'Cutting', 'Stitching', 'Quality Check', 'Ready'];
+
 // Enhanced Order Schema
 const orderSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -94,36 +209,126 @@ const orderSchema = new mongoose.Schema({
     productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
     quantity: { type: Number, default: 1, min: 1 },
     price: { type: Number, required: true }, // Price at time of order
-    measurements: {
-      chest: String,
-      waist: String,
-      shoulder: String,
-      armLength: String,
-      neckSize: String,
-      bicep: String,
-      wrist: String,
-      shirtLength: String,
-      pantWaist: String,
-      pantLength: String,
-      thigh: String,
-      knee: String,
-      ankle: String,
-      rise: String
+    pricing: {
+      unitPrice: Number,
+      discountPercent: Number,
+      lineSubtotal: Number,
+      lineDiscount: Number,
+      lineTotal: Number,
+      couponDiscount: Number,
+      deliveryCharge: Number,
+      hsnCode: String,
+      gstRate: Number,
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      tax: Number
+    },
+    measurements: measurementFields,
+    measurementUnit: { type: String, enum: MEASUREMENT_UNITS },
+    garmentType: { type: String, enum: GARMENT_TYPES },
+    // Snapshot of the saved profile used, so later edits don't change the order
+    measurementProfile: {
+      profileId: { type: mongoose.Schema.Types.ObjectId, ref: 'MeasurementProfile' },
+      name: String,
+      takenOn: Date
+    },
+    // Only set for lines with measurements (custom stitching)
+    production: {
+      stage: { type: String, enum: PRODUCTION_STAGES },
+      assignedTailor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      dueDate: { type: Date },
+      notes: { type: String, trim: true },
+      history: [{
+        stage: { type: String, enum: PRODUCTION_STAGES },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        changedAt: { type: Date, default: Date.now },
+        note: { type: String, trim: true }
+      }]
     }
   }],
   deliveryAddress: {
+    addressId: { type: mongoose.Schema.Types.ObjectId }, // Saved address this was copied from
+    label: { type: String, trim: true },
     name: { type: String, required: true },
     phone: { type: String, required: true },
     pincode: { type: String, required: true },
-    address: { type: String, required: true }
+    address: { type: String, required: true },
+    state: { type: String, trim: true } // Place of supply for GST
   },
-  paymentMethod: { type: String, required: true, enum: ['Cash on Delivery', 'Credit/Debit Card', 'UPI'] },
+  paymentMethod: { type: String, required: true, enum: PAYMENT_METHODS },
   paymentStatus: { type: String, default: 'Pending', enum: ['Pending', 'Paid', 'Failed', 'Refunded'] },
+  // Gateway payment for online orders; a retry replaces the intent and keeps the old id
+  payment: {
+    provider: String,
+    intentId: { type: String, index: true },
+    previousIntents: [String],
+    amount: Number,
+    currency: String,
+    paidAt: Date,
+    failedAt: Date,
+    failureReason: String,
+    processedEvents: [String] // Webhook event ids already applied
+  },
   totalAmount: { type: Number, required: true },
+  // Itemized totals from the pricing engine, shown on the cart, email and order pages
+  pricing: {
+    subtotal: Number,
+    productDiscount: Number,
+    couponCode: String,
+    couponDiscount: Number,
+    deliveryCharge: Number,
+    freeDelivery: Boolean,
+    deliverySurcharge: Number, // Pincode surcharge; not waived by free delivery
+    supplyType: { type: String, enum: ['intra-state', 'inter-state'] },
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    tax: Number,
+    // GST summary per HSN code and rate, as printed on the invoice
+    taxLines: [{
+      _id: false,
+      hsnCode: String,
+      gstRate: Number,
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number
+    }],
+    total: Number
+  },
+  // Assigned the first time the invoice is downloaded
+  invoice: {
+    number: { type: String, unique: true, sparse: true },
+    issuedAt: Date,
+    claimedAt: Date // Set while one request takes the next number, so a race does not burn numbers
+  },
   deliveryCharge: { type: Number, default: 0 },
-  discount: { type: Number, default: 0 },
-  status: { type: String, default: 'Placed', enum: ['Placed', 'Confirmed', 'Processing', 'Shipped', 'Delivered', 'Cancelled'] },
+  discount: { type: Number, default: 0 }, // Coupon discount
+  couponCode: { type: String },
+  status: { type: String, default: 'Placed', enum: ORDER_STATUSES },
+  statusHistory: [{
+    status: { type: String, enum: ORDER_STATUSES, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now },
+    note: { type: String, trim: true }
+  }],
   trackingNumber: { type: String },
+  deliveredAt: { type: Date },
+  cancellation: {
+    reason: { type: String, trim: true },
+    comment: { type: String, trim: true },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    cancelledAt: { type: Date }
+  },
+  refund: {
+    amount: { type: Number, min: 0 },
+    status: { type: String, enum: ['Initiated', 'Completed'] },
+    initiatedAt: { type: Date },
+    completedAt: { type: Date }
+  },
+  stockReserved: { type: Boolean, default: false }, // Cleared once stock is given back on cancellation
   estimatedDelivery: { type: Date },
   orderDate: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
@@ -140,19 +345,203 @@ const cartSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 });
 
-// Password Reset Schema
+// Wishlist Schema - products saved for later, one list per user
+const wishlistSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  products: [{
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    addedAt: { type: Date, default: Date.now },
+    addedPrice: { type: Number }, // Price after discount when saved
+    // What the customer last heard about; alerts fire when the product does better
+    notifiedPrice: { type: Number },
+    notifiedInStock: { type: Boolean },
+    lastNotifiedAt: { type: Date }
+  }],
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Measurement Profile Schema - named sets of measurements saved per user
+const measurementProfileSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 60 },
+  unit: { type: String, enum: MEASUREMENT_UNITS, default: 'inches' },
+  takenOn: { type: Date, default: Date.now },
+  measurements: measurementFields,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+measurementProfileSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Return Request Schema - returns, exchanges and alterations for a delivered order line
+const RETURN_TYPES = ['return', 'alteration', 'exchange'];
+const RETURN_STATUSES = ['Requested', 'Approved', 'Picked Up', 'Completed', 'Rejected'];
+const RETURN_STATUS_TRANSITIONS = {
+  Requested: ['Approved', 'Rejected'],
+  Approved: ['Picked Up', 'Rejected'],
+  'Picked Up': ['Completed'],
+  Completed: [],
+  Rejected: []
+};
+// Days after delivery a request may be filed
+const RETURN_WINDOW_DAYS = {
+  return: Number(process.env.RETURN_WINDOW_DAYS) || 7,
+  exchange: Number(process.env.RETURN_WINDOW_DAYS) || 7,
+  alteration: Number(process.env.ALTERATION_WINDOW_DAYS) || 30
+};
+const MAX_RETURN_PHOTOS = 3;
+
+const returnRequestSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  lineId: { type: mongoose.Schema.Types.ObjectId, required: true }, // Order.products subdocument
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  type: { type: String, required: true, enum: RETURN_TYPES },
+  reason: { type: String, required: true, trim: true, maxlength: 200 },
+  details: { type: String, trim: true, maxlength: 1000 }, // e.g. "sleeve 1 inch shorter"
+  photos: [{ type: String }],
+  correctedMeasurements: measurementFields,
+  measurementUnit: { type: String, enum: MEASUREMENT_UNITS },
+  status: { type: String, default: 'Requested', enum: RETURN_STATUSES },
+  statusHistory: [{
+    status: { type: String, enum: RETURN_STATUSES, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now },
+    note: { type: String, trim: true }
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Coupon Schema
+const COUPON_TYPES = ['percentage', 'flat', 'free_delivery'];
+
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, trim: true, uppercase: true },
+  description: { type: String, trim: true },
+  type: { type: String, required: true, enum: COUPON_TYPES },
+  value: { type: Number, default: 0, min: 0 }, // Percent for percentage, amount for flat
+  maxDiscount: { type: Number, min: 0 }, // Cap for percentage coupons
+  minOrderValue: { type: Number, default: 0, min: 0 },
+  validFrom: { type: Date },
+  validTo: { type: Date },
+  usageLimit: { type: Number, min: 0 }, // Total uses across all customers; empty means unlimited
+  perUserLimit: { type: Number, default: 1, min: 0 }, // 0 means unlimited
+  usedCount: { type: Number, default: 0 },
+  categories: [{ type: String, trim: true, lowercase: true }], // Empty means all categories
+  redemptions: [{
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    redeemedAt: { type: Date, default: Date.now }
+  }],
+  isActive: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Serviceable Pincode Schema - where we deliver, how fast and at what extra cost
+const DELIVERY_ZONES = ['Local', 'Regional', 'National', 'Remote'];
+
+const serviceablePincodeSchema = new mongoose.Schema({
+  pincode: { type: String, required: true, unique: true, trim: true, match: [/^\d{6}$/, 'Pincode must be 6 digits'] },
+  city: { type: String, trim: true },
+  state: { type: String, trim: true },
+  zone: { type: String, required: true, enum: DELIVERY_ZONES },
+  codAvailable: { type: Boolean, default: true },
+  slaDays: { type: Number, min: 1 }, // Days in transit; falls back to the zone's default
+  surcharge: { type: Number, default: 0, min: 0 }, // Added to the order on top of delivery charges
+  isActive: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Password Reset Schema - only a hash of the emailed token is kept
 const passwordResetSchema = new mongoose.Schema({
-  email: { type: String, required: true },
-  token: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true }, // SHA-256 of the reset token
+  createdAt: { type: Date, default: Date.now, expires: 3600 }
+});
+
+// Email Change Schema - a pending new address, confirmed by a link sent to it
+const emailChangeSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  newEmail: { type: String, required: true, lowercase: true, trim: true },
+  tokenHash: { type: String, required: true, unique: true }, // SHA-256 of the confirmation token
   createdAt: { type: Date, default: Date.now, expires: 3600 }
 });
 
+// Session Schema - one per signed-in device, holding its current refresh token
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true }, // SHA-256 of the refresh token
+  previousTokenHash: { type: String, index: true }, // Kept to spot a rotated token being reused
+  rotatedAt: { type: Date },
+  userAgent: { type: String },
+  ip: { type: String },
+  revokedAt: { type: Date },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, expires: 0 }, // Removed by MongoDB once expired
+  createdAt: { type: Date, default: Date.now }
+});
+
+// One-time Code Schema - emailed codes for email verification and two-step login
+const OTP_PURPOSES = ['verify-email', 'login'];
+const OTP_LENGTH = 6;
+const OTP_TTL_SECONDS = 10 * 60;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_SECONDS = 60;
+
+const otpCodeSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, required: true, enum: OTP_PURPOSES },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now, expires: OTP_TTL_SECONDS }
+});
+otpCodeSchema.index({ userId: 1, purpose: 1 });
+
+// Payment Transaction Schema - audit trail of every payment attempt, result and refund
+const TRANSACTION_TYPES = ['Attempt', 'Success', 'Failure', 'Refund'];
+
+const transactionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+  orderNumber: { type: String },
+  type: { type: String, required: true, enum: TRANSACTION_TYPES },
+  paymentMethod: { type: String, enum: PAYMENT_METHODS },
+  provider: { type: String },
+  intentId: { type: String, index: true },
+  eventId: { type: String, unique: true, sparse: true }, // Gateway webhook event, if any
+  amount: { type: Number, required: true },
+  currency: { type: String, default: 'INR' },
+  status: { type: String }, // e.g. Pending, Paid, Failed, Initiated
+  reason: { type: String, trim: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Named counters for sequential numbers such as invoice numbers
+const counterSchema = new mongoose.Schema({
+  _id: { type: String },
+  seq: { type: Number, default: 0 }
+});
+
 // Generate order number
 orderSchema.pre('save', async function(next) {
   if (!this.orderNumber) {
     const count = await mongoose.model('Order').countDocuments();
     this.orderNumber = `ORD${Date.now()}${String(count + 1).padStart(4, '0')}`;
   }
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.userId, changedAt: this.orderDate });
+  }
+  if (this.isNew) {
+    this.products.forEach(line => {
+      if (hasMeasurements(line) && !line.production.stage) {
+        line.production.stage = PRODUCTION_STAGES[0];
+        line.production.history.push({ stage: PRODUCTION_STAGES[0], changedAt: this.orderDate });
+      }
+    });
+  }
   next();
 });
 
@@ -160,10 +549,20 @@ const User = mongoose.model('User', userSchema);
 const Product = mongoose.model('Product', productSchema);
 const Order = mongoose.model('Order', orderSchema);
 const Cart = mongoose.model('Cart', cartSchema);
+const Wishlist = mongoose.model('Wishlist', wishlistSchema);
+const MeasurementProfile = mongoose.model('MeasurementProfile', measurementProfileSchema);
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+const Coupon = mongoose.model('Coupon', couponSchema);
+const ServiceablePincode = mongoose.model('ServiceablePincode', serviceablePincodeSchema);
+const Counter = mongoose.model('Counter', counterSchema);
+const Transaction = mongoose.model('Transaction', transactionSchema);
 const PasswordReset = mongoose.model('PasswordReset', passwordResetSchema);
+const EmailChange = mongoose.model('EmailChange', emailChangeSchema);
+const OtpCode = mongoose.model('OtpCode', otpCodeSchema);
+const Session = mongoose.model('Session', sessionSchema);
 
 // Email transporter
-const transporter = nodemailer.createTransporter({
+const transporter = nodemailer.createTransport({
   service: 'gmail',
   auth: {
     user: process.env.EMAIL_USER,
@@ -173,247 +572,4833 @@ const transporter = nodemailer.createTransporter({
 
 const JWT_SECRET = process.env.JWT_SECRET;
 
+// Public address of the shop for links in emails; never taken from the Host header, which the client controls
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+// Access tokens are short-lived; refresh tokens rotate on every use
+const AUTH_CONFIG = {
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  refreshTokenDays: Number(process.env.REFRESH_TOKEN_DAYS) || 30,
+  // Two tabs refreshing at once both send the same token; don't treat that as theft
+  reuseGraceSeconds: 30
+};
+
+// A password may not contain the account's username or the name part of its email
+const passwordContainsPersonalInfo = (password, { username, email } = {}) => {
+  const lower = String(password).toLowerCase();
+  return [username, email && String(email).split('@')[0]]
+    .filter(part => part && String(part).length >= 3)
+    .some(part => lower.includes(String(part).toLowerCase()));
+};
+
+// Password strength rules shared by registration and password reset
+const passwordRules = field => body(field)
+  .isLength({ min: 8, max: 128 }).withMessage('Password must be 8 to 128 characters long').bail()
+  .matches(/[a-z]/).withMessage('Password must contain a lowercase letter')
+  .matches(/[A-Z]/).withMessage('Password must contain an uppercase letter')
+  .matches(/\d/).withMessage('Password must contain a number')
+  .not().matches(/^\s|\s$/).withMessage('Password must not start or end with a space')
+  .custom((value, { req }) => !passwordContainsPersonalInfo(value, req.body))
+  .withMessage('Password must not contain your username or email');
+
 // Validation middleware
 const validateRegistration = [
   body('firstname').trim().isLength({ min: 2 }).withMessage('First name must be at least 2 characters'),
   body('lastname').trim().isLength({ min: 2 }).withMessage('Last name must be at least 2 characters'),
   body('username').trim().isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  passwordRules('password'),
   body('phone').isMobilePhone().withMessage('Please provide a valid phone number'),
 ];
 
+const validateForgotPassword = [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+];
+
+const validateResetPassword = [
+  body('token').isString().trim().notEmpty().withMessage('Reset token is required'),
+  passwordRules('newPassword'),
+];
+
+const validateChangePassword = [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  passwordRules('newPassword'),
+];
+
+const validateChangeEmail = [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newEmail').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+];
+
 const validateLogin = [
   body('username').trim().notEmpty().withMessage('Username is required'),
   body('password').notEmpty().withMessage('Password is required'),
 ];
 
-// Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+const validateOtpSend = [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('purpose').optional().isIn(OTP_PURPOSES).withMessage('Purpose must be verify-email or login'),
+];
 
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
-  }
+const validateOtpVerify = [
+  body('code').trim().matches(new RegExp(`^\\d{${OTP_LENGTH}}$`)).withMessage(`Code must be ${OTP_LENGTH} digits`),
+  body('purpose').optional().isIn(OTP_PURPOSES).withMessage('Purpose must be verify-email or login'),
+  body('email').if(body('purpose').not().equals('login')).isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('otpToken').if(body('purpose').equals('login')).notEmpty().withMessage('Login session is required'),
+];
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid token' });
-    }
-    req.user = user;
-    next();
-  });
+const validateMeasurementProfile = [
+  body('name').trim().notEmpty().withMessage('Profile name is required')
+    .isLength({ max: 60 }).withMessage('Profile name must be at most 60 characters'),
+  body('unit').optional().isIn(MEASUREMENT_UNITS).withMessage('Unit must be cm or inches'),
+  body('takenOn').optional().isISO8601().withMessage('Taken on must be a valid date'),
+  body('measurements').optional().isObject().withMessage('Measurements must be an object'),
+];
+
+const MAX_SAVED_ADDRESSES = 10;
+
+const validateAddress = [
+  body('label').trim().notEmpty().withMessage('Label is required')
+    .isLength({ max: 30 }).withMessage('Label must be at most 30 characters'),
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('phone').trim().isMobilePhone().withMessage('Please provide a valid phone number'),
+  body('pincode').trim().matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+  body('address').trim().notEmpty().withMessage('Address is required'),
+  body('state').optional().trim(),
+  body('isDefault').optional().isBoolean().withMessage('Default must be true or false'),
+];
+
+const validateMeasurementCheck = [
+  body('measurements').isObject().withMessage('Measurements must be an object'),
+  body('unit').optional().isIn(MEASUREMENT_UNITS).withMessage('Unit must be cm or inches'),
+  body('garmentType').optional().isIn(GARMENT_TYPES).withMessage('Garment type must be shirt, pant or suit'),
+];
+
+// Measurement validation
+const CM_PER_INCH = 2.54;
+
+const MEASUREMENT_LABELS = {
+  chest: 'Chest', waist: 'Waist', shoulder: 'Shoulder', armLength: 'Arm length',
+  neckSize: 'Neck size', bicep: 'Bicep', wrist: 'Wrist', shirtLength: 'Shirt length',
+  pantWaist: 'Pant waist', pantLength: 'Pant length', thigh: 'Thigh', knee: 'Knee',
+  ankle: 'Ankle', rise: 'Rise'
 };
 
-// Error handling middleware
-const handleValidationErrors = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ 
-      error: 'Validation failed', 
-      details: errors.array() 
-    });
-  }
-  next();
+// Plausible [min, max] in inches, wide enough to cover kid's wear
+const MEASUREMENT_RANGES = {
+  chest: [16, 70], waist: [14, 70], shoulder: [8, 30], armLength: [8, 40],
+  neckSize: [8, 26], bicep: [4, 26], wrist: [3, 12], shirtLength: [12, 48],
+  pantWaist: [14, 70], pantLength: [12, 50], thigh: [8, 40], knee: [6, 30],
+  ankle: [5, 26], rise: [5, 20]
 };
 
-// Routes
+const GARMENT_REQUIRED_FIELDS = {
+  shirt: ['chest', 'shoulder', 'armLength', 'neckSize'],
+  pant: ['pantWaist', 'pantLength', 'thigh', 'rise'],
+  suit: ['chest', 'shoulder', 'armLength', 'neckSize', 'pantWaist', 'pantLength', 'thigh', 'rise']
+};
 
-// User Registration
-app.post('/api/auth/register', validateRegistration, handleValidationErrors, async (req, res) => {
-  try {
-    const { username, email, password, ...otherFields } = req.body;
+const UNIT_ALIASES = {
+  cm: 'cm', centimeter: 'cm', centimeters: 'cm',
+  in: 'inches', inch: 'inches', inches: 'inches', '"': 'inches'
+};
 
-    const existingUser = await User.findOne({ 
-      $or: [{ username: username.toLowerCase() }, { email: email.toLowerCase() }] 
-    });
-    
-    if (existingUser) {
-      return res.status(400).json({ error: 'Username or email already exists' });
-    }
+const roundMeasurement = value => Math.round(value * 100) / 100;
 
-    const hashedPassword = await bcrypt.hash(password, 12);
+// Parse "38", "38.5", "38 in", '38"' or "97cm" into a number in the given unit
+const parseMeasurement = (raw, unit = 'inches') => {
+  const match = String(raw).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(cm|centimeters?|inch(?:es)?|in|")?$/);
+  if (!match) {
+    return { error: 'must be a number' };
+  }
 
-    const user = new User({
-      username: username.toLowerCase(),
-      email: email.toLowerCase(),
-      password: hashedPassword,
-      ...otherFields
-    });
+  let value = Number(match[1]);
+  const givenUnit = match[2] ? UNIT_ALIASES[match[2]] : unit;
+  if (givenUnit !== unit) {
+    value = unit === 'cm' ? value * CM_PER_INCH : value / CM_PER_INCH;
+  }
 
-    await user.save();
-    
-    // Send welcome email (optional)
-    try {
-      await transporter.sendMail({
-        from: process.env.EMAIL_USER,
-        to: user.email,
-        subject: 'Welcome to Rudra Tailoring Shop!',
-        html: `
-          <h2>Welcome ${user.firstname}!</h2>
-          <p>Thank you for registering with Rudra Tailoring Shop. We're excited to help you with your custom clothing needs.</p>
-          <p>Start exploring our collection and place your first order today!</p>
-        `
-      });
-    } catch (emailError) {
-      console.log('Email sending failed:', emailError.message);
-    }
+  return { value: roundMeasurement(value) };
+};
 
-    res.status(201).json({ message: 'User registered successfully' });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+// Ratio checks on inch values; these only produce warnings since bodies vary
+const MEASUREMENT_RATIO_CHECKS = [
+  { field: 'waist', when: m => m.waist && m.chest && m.waist - m.chest > 10, message: 'Waist is much larger than chest' },
+  { field: 'shoulder', when: m => m.shoulder && m.chest && m.shoulder > m.chest * 0.75, message: 'Shoulder looks too wide for the chest size' },
+  { field: 'neckSize', when: m => m.neckSize && m.chest && m.neckSize > m.chest * 0.6, message: 'Neck size looks too large for the chest size' },
+  { field: 'wrist', when: m => m.wrist && m.bicep && m.wrist > m.bicep, message: 'Wrist is larger than bicep' },
+  { field: 'pantWaist', when: m => m.pantWaist && m.waist && Math.abs(m.pantWaist - m.waist) > 6, message: 'Pant waist differs a lot from waist' },
+  { field: 'knee', when: m => m.knee && m.thigh && m.knee > m.thigh, message: 'Knee is larger than thigh' },
+  { field: 'ankle', when: m => m.ankle && m.knee && m.ankle > m.knee, message: 'Ankle is larger than knee' },
+  { field: 'rise', when: m => m.rise && m.pantLength && m.rise > m.pantLength / 2, message: 'Rise is more than half the pant length' }
+];
 
-// User Login
-app.post('/api/auth/login', validateLogin, handleValidationErrors, async (req, res) => {
-  try {
-    const { username, password } = req.body;
+/**
+ * Validate a set of measurements for a garment.
+ * Returns normalized string values plus field-level errors and warnings.
+ */
+const validateMeasurements = (source = {}, { unit = 'inches', garmentType } = {}) => {
+  const measurements = {};
+  const inches = {};
+  const errors = [];
+  const warnings = [];
+  const toUnit = value => roundMeasurement(unit === 'cm' ? value * CM_PER_INCH : value);
 
-    const user = await User.findOne({ 
-      username: username.toLowerCase(),
-      isActive: true 
-    });
-    
-    if (!user) {
-      return res.status(400).json({ error: 'Invalid credentials' });
+  MEASUREMENT_FIELDS.forEach(field => {
+    const raw = source[field];
+    if (raw === undefined || raw === null || String(raw).trim() === '') {
+      return;
     }
 
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    if (!isValidPassword) {
-      return res.status(400).json({ error: 'Invalid credentials' });
+    const label = MEASUREMENT_LABELS[field];
+    const parsed = parseMeasurement(raw, unit);
+    if (parsed.error) {
+      errors.push({ field, message: `${label} ${parsed.error}` });
+      return;
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    const token = jwt.sign(
-      { userId: user._id, username: user.username }, 
-      JWT_SECRET, 
-      { expiresIn: '24h' }
-    );
+    const [min, max] = MEASUREMENT_RANGES[field];
+    const valueInInches = unit === 'cm' ? parsed.value / CM_PER_INCH : parsed.value;
+    if (valueInInches < min || valueInInches > max) {
+      errors.push({ field, message: `${label} must be between ${toUnit(min)} and ${toUnit(max)} ${unit}` });
+      return;
+    }
 
-    res.json({ 
-      message: 'Login successful', 
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        firstname: user.firstname,
-        lastname: user.lastname
-      }
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+    measurements[field] = String(parsed.value);
+    inches[field] = valueInInches;
+  });
 
-// Forgot Password
-app.post('/api/auth/forgot-password', async (req, res) => {
-  try {
-    const { email } = req.body;
+  (GARMENT_REQUIRED_FIELDS[garmentType] || []).forEach(field => {
+    if (!measurements[field] && !errors.some(e => e.field === field)) {
+      errors.push({ field, message: `${MEASUREMENT_LABELS[field]} is required for a ${garmentType}` });
+    }
+  });
 
-    const user = await User.findOne({ email: email.toLowerCase() });
-    if (!user) {
-      return res.status(400).json({ error: 'User with this email does not exist' });
+  MEASUREMENT_RATIO_CHECKS.forEach(check => {
+    if (check.when(inches)) {
+      warnings.push({ field: check.field, message: check.message });
     }
+  });
 
-    const resetToken = jwt.sign({ email: email.toLowerCase() }, JWT_SECRET, { expiresIn: '1h' });
+  return { measurements, errors, warnings };
+};
 
-    await PasswordReset.findOneAndUpdate(
-      { email: email.toLowerCase() },
-      { token: resetToken },
-      { upsert: true, new: true }
-    );
+const validateProduct = [
+  body('name').trim().notEmpty().withMessage('Product name is required'),
+  body('description').trim().notEmpty().withMessage('Description is required'),
+  body('price').isFloat({ min: 0 }).withMessage('Price must be a number of at least 0'),
+  body('category').trim().notEmpty().withMessage('Category is required'),
+  body('subcategory').trim().notEmpty().withMessage('Subcategory is required'),
+  body('image').trim().notEmpty().withMessage('Main image is required'),
+  body('discount').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+  body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a whole number of at least 0'),
+  body('deliveryCharge').optional().isFloat({ min: 0 }).withMessage('Delivery charge must be at least 0'),
+  body('hsnCode').optional().trim().matches(/^\d{4,8}$/).withMessage('HSN code must be 4 to 8 digits'),
+  body('gstRate').optional().isIn(GST_RATES).withMessage(`GST rate must be one of ${GST_RATES.join(', ')}`),
+  body('images').optional().isArray().withMessage('Images must be a list'),
+  body('tags').optional().isArray().withMessage('Tags must be a list'),
+];
 
-    const resetLink = `${req.protocol}://${req.get('host')}/reset_password.html?token=${resetToken}`;
+const validateProductUpdate = [
+  body('name').optional().trim().notEmpty().withMessage('Product name cannot be empty'),
+  body('description').optional().trim().notEmpty().withMessage('Description cannot be empty'),
+  body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a number of at least 0'),
+  body('discount').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+  body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a whole number of at least 0'),
+  body('deliveryCharge').optional().isFloat({ min: 0 }).withMessage('Delivery charge must be at least 0'),
+  body('hsnCode').optional().trim().matches(/^\d{4,8}$/).withMessage('HSN code must be 4 to 8 digits'),
+  body('gstRate').optional().isIn(GST_RATES).withMessage(`GST rate must be one of ${GST_RATES.join(', ')}`),
+  body('images').optional().isArray().withMessage('Images must be a list'),
+  body('tags').optional().isArray().withMessage('Tags must be a list'),
+];
 
-    try {
-      await transporter.sendMail({
-        from: process.env.EMAIL_USER,
-        to: email,
-        subject: 'Password Reset Request - Rudra Tailoring Shop',
-        html: `
-          <h2>Password Reset Request</h2>
-          <p>Hello ${user.firstname},</p>
-          <p>You requested a password reset for your account. Click the link below to reset your password:</p>
-          <a href="${resetLink}" style="background-color: #6a11cb; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Reset Password</a>
-          <p>This link will expire in 1 hour.</p>
-          <p>If you didn't request this, please ignore this email.</p>
-        `
-      });
-    } catch (emailError) {
-      console.log('Email sending failed:', emailError.message);
-    }
+const validateProductBulkEdit = [
+  body('ids').isArray({ min: 1 }).withMessage('Provide at least one product id'),
+  body('ids.*').isMongoId().withMessage('Invalid product id'),
+  body('updates').isObject().withMessage('Updates must be an object'),
+  body('updates.price').optional().isFloat({ min: 0 }).withMessage('Price must be a number of at least 0'),
+  body('updates.discount').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+  body('updates.stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a whole number of at least 0'),
+  body('updates.deliveryCharge').optional().isFloat({ min: 0 }).withMessage('Delivery charge must be at least 0'),
+  body('updates.hsnCode').optional().trim().matches(/^\d{4,8}$/).withMessage('HSN code must be 4 to 8 digits'),
+  body('updates.gstRate').optional().isIn(GST_RATES).withMessage(`GST rate must be one of ${GST_RATES.join(', ')}`),
+  body('updates.images').optional().isArray().withMessage('Images must be a list'),
+  body('updates.tags').optional().isArray().withMessage('Tags must be a list'),
+];
 
-    res.json({ 
-      message: 'Password reset link sent to your email',
-      resetLink: process.env.NODE_ENV === 'development' ? resetLink : undefined
-    });
-  } catch (error) {
-    console.error('Forgot password error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+const validateProductionUpdate = [
+  body('stage').optional().isIn(PRODUCTION_STAGES).withMessage(`Stage must be one of ${PRODUCTION_STAGES.join(', ')}`),
+  body('note').optional().isString().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
+  body('notes').optional().isString().trim().isLength({ max: 2000 }).withMessage('Notes must be at most 2000 characters'),
+  body('assignedTailor').optional({ nullable: true }).isMongoId().withMessage('Invalid tailor id'),
+  body('dueDate').optional({ nullable: true }).isISO8601().withMessage('Due date must be a valid date'),
+];
 
-// Reset Password
-app.post('/api/auth/reset-password', async (req, res) => {
-  try {
-    const { token, newPassword } = req.body;
+const validateReturnRequest = [
+  body('orderId').isMongoId().withMessage('Invalid order id'),
+  body('lineId').isMongoId().withMessage('Invalid order item'),
+  body('type').isIn(RETURN_TYPES).withMessage('Type must be return, alteration or exchange'),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+    .isLength({ max: 200 }).withMessage('Reason must be at most 200 characters'),
+  body('details').optional().isString().trim().isLength({ max: 1000 }).withMessage('Details must be at most 1000 characters'),
+  body('photos').optional().isArray({ max: MAX_RETURN_PHOTOS }).withMessage(`Attach at most ${MAX_RETURN_PHOTOS} photos`),
+  body('photos.*').isString().isLength({ max: 2 * 1024 * 1024 }).withMessage('Each photo must be under 2MB')
+    .matches(/^(https?:\/\/|data:image\/)/).withMessage('Photos must be image links or uploaded images'),
+  body('correctedMeasurements').optional().isObject().withMessage('Corrected measurements must be an object'),
+  body('measurementUnit').optional().isIn(MEASUREMENT_UNITS).withMessage('Unit must be cm or inches'),
+];
 
-    if (!newPassword || newPassword.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
-    }
+const REVIEW_SORTS = ['newest', 'oldest', 'highest', 'lowest'];
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const { email } = decoded;
+const validateReview = [
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5'),
+  body('title').optional().isString().trim().isLength({ max: 100 }).withMessage('Title must be at most 100 characters'),
+  body('comment').optional().isString().trim().isLength({ max: 2000 }).withMessage('Comment must be at most 2000 characters'),
+];
 
-    const resetRecord = await PasswordReset.findOne({ email, token });
-    if (!resetRecord) {
-      return res.status(400).json({ error: 'Invalid or expired reset token' });
-    }
+const validateReviewModeration = [
+  body('hidden').isBoolean().withMessage('Hidden must be true or false'),
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+];
 
-    const hashedPassword = await bcrypt.hash(newPassword, 12);
-    await User.findOneAndUpdate({ email }, { password: hashedPassword, updatedAt: new Date() });
-    await PasswordReset.deleteOne({ email, token });
+const validateReturnStatus = [
+  body('status').isIn(RETURN_STATUSES).withMessage(`Status must be one of ${RETURN_STATUSES.join(', ')}`),
+  body('note').optional().isString().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
+];
 
-    res.json({ message: 'Password reset successfully' });
-  } catch (error) {
-    console.error('Reset password error:', error);
-    res.status(500).json({ error: 'Invalid or expired token' });
-  }
-});
+const validateCoupon = [
+  body('code').trim().notEmpty().withMessage('Coupon code is required')
+    .isLength({ max: 30 }).withMessage('Coupon code must be at most 30 characters'),
+  body('type').isIn(COUPON_TYPES).withMessage('Type must be percentage, flat or free_delivery'),
+  body('value').optional().isFloat({ min: 0 }).withMessage('Value must be at least 0'),
+  body('value').if(body('type').equals('percentage')).isFloat({ min: 0, max: 100 }).withMessage('Percentage must be between 0 and 100'),
+  body('maxDiscount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Max discount must be at least 0'),
+  body('minOrderValue').optional().isFloat({ min: 0 }).withMessage('Minimum order value must be at least 0'),
+  body('validFrom').optional({ nullable: true }).isISO8601().withMessage('Valid from must be a valid date'),
+  body('validTo').optional({ nullable: true }).isISO8601().withMessage('Valid to must be a valid date'),
+  body('usageLimit').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Usage limit must be a whole number'),
+  body('perUserLimit').optional().isInt({ min: 0 }).withMessage('Per-user limit must be a whole number'),
+  body('categories').optional().isArray().withMessage('Categories must be a list'),
+];
 
-// Get Products with enhanced filtering
-app.get('/api/products', async (req, res) => {
-  try {
-    const { category, subcategory, search, minPrice, maxPrice, inStock, page = 1, limit = 12 } = req.query;
-    let query = { isActive: true };
+// Coupon fields an admin may set
+const COUPON_EDITABLE_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'minOrderValue', 'validFrom', 'validTo',
+  'usageLimit', 'perUserLimit', 'categories', 'isActive'
+];
 
-    if (category) query.category = category.toLowerCase();
-    if (subcategory) query.subcategory = subcategory.toLowerCase();
-    if (inStock === 'true') query.inStock = true;
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = Number(minPrice);
-      if (maxPrice) query.price.$lte = Number(maxPrice);
-    }
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
-    }
+const validateCancellation = [
+  body('reason').isIn(CANCELLATION_REASONS).withMessage('Please choose a cancellation reason'),
+  body('comment').optional().isString().trim().isLength({ max: 500 }).withMessage('Comment must be at most 500 characters'),
+];
 
-    const skip = (page - 1) * limit;
+const validateOrderStatus = [
+  body('status').isIn(ORDER_STATUSES).withMessage(`Status must be one of ${ORDER_STATUSES.join(', ')}`),
+  body('note').optional().isString().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
+  body('trackingNumber').optional().isString().trim(),
+];
+
+// Product fields an admin may set
+const PRODUCT_EDITABLE_FIELDS = [
+  'sku', 'name', 'description', 'price', 'category', 'subcategory', 'image', 'images',
+  'inStock', 'stockQuantity', 'discount', 'deliveryDays', 'deliveryCharge', 'hsnCode', 'gstRate', 'tags', 'isActive'
+];
+
+const pickProductFields = (source = {}) => {
+  const fields = {};
+  PRODUCT_EDITABLE_FIELDS.forEach(key => {
+    if (source[key] !== undefined) {
+      fields[key] = source[key];
+    }
+  });
+  return fields;
+};
+
+// When an edit sets the stock count, inStock follows it so restocked products can be ordered again,
+// unless the edit sets inStock itself
+const syncStockFlag = fields => {
+  if (fields.stockQuantity !== undefined && fields.inStock === undefined) {
+    fields.inStock = Number(fields.stockQuantity) > 0;
+  }
+  return fields;
+};
+
+// Product import/export helpers
+const PRODUCT_NUMBER_FIELDS = ['price', 'stockQuantity', 'discount', 'deliveryCharge', 'gstRate'];
+const PRODUCT_BOOLEAN_FIELDS = ['inStock', 'isActive'];
+const PRODUCT_LIST_FIELDS = ['images', 'tags'];
+const PRODUCT_LIST_SEPARATOR = '|';
+
+// Parse CSV text into rows of strings (handles quoted fields, "" escapes and CRLF)
+const parseCsv = text => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// CSV text with a header row into { columns, rows } of objects keyed by column name
+const csvToObjects = text => {
+  const [header, ...lines] = parseCsv(text);
+  const columns = header ? header.map(h => h.trim()) : [];
+  const rows = lines.map(values => columns.reduce((row, column, i) => {
+    row[column] = values[i];
+    return row;
+  }, {}));
+  return { columns, rows };
+};
+
+const toCsvValue = value => {
+  if (value === undefined || value === null) return '';
+  const text = Array.isArray(value) ? value.join(PRODUCT_LIST_SEPARATOR) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const productsToCsv = products => {
+  const lines = [PRODUCT_EDITABLE_FIELDS.join(',')];
+  products.forEach(product => {
+    lines.push(PRODUCT_EDITABLE_FIELDS.map(field => toCsvValue(product[field])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Turn a CSV/JSON row into typed product fields; blanks are left out
+const normalizeProductRow = row => {
+  const fields = {};
+  PRODUCT_EDITABLE_FIELDS.forEach(field => {
+    let value = row[field];
+    if (value === undefined || value === null) return;
+    if (typeof value === 'string') {
+      value = value.trim();
+      if (value === '') return;
+    }
+
+    if (PRODUCT_NUMBER_FIELDS.includes(field)) {
+      fields[field] = typeof value === 'number' ? value : Number(value);
+    } else if (PRODUCT_BOOLEAN_FIELDS.includes(field)) {
+      const text = String(value).toLowerCase();
+      if (['true', 'yes', '1'].includes(text)) fields[field] = true;
+      else if (['false', 'no', '0'].includes(text)) fields[field] = false;
+      else fields[field] = value;
+    } else if (PRODUCT_LIST_FIELDS.includes(field)) {
+      const list = Array.isArray(value) ? value : String(value).split(PRODUCT_LIST_SEPARATOR);
+      fields[field] = list.map(item => String(item).trim()).filter(Boolean);
+    } else {
+      fields[field] = value;
+    }
+  });
+  return fields;
+};
+
+const sameProductValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+/**
+ * Upsert products by SKU. Each row is validated against productSchema on its own,
+ * so one bad row is reported without failing the rest of the batch.
+ * With dryRun, nothing is written and the report shows what would change.
+ */
+const importProductRows = async (rows, { dryRun = true, firstRowNumber = 1 } = {}) => {
+  const results = [];
+  const summary = { total: rows.length, created: 0, updated: 0, unchanged: 0, errors: 0 };
+  const seenSkus = new Set();
+
+  for (const [index, row] of rows.entries()) {
+    const rowNumber = index + firstRowNumber;
+    const fields = syncStockFlag(normalizeProductRow(row));
+    const sku = fields.sku ? String(fields.sku).toUpperCase() : '';
+    const result = { row: rowNumber, sku };
+
+    if (!sku) {
+      results.push({ ...result, action: 'error', errors: ['SKU is required'] });
+      summary.errors++;
+      continue;
+    }
+    if (seenSkus.has(sku)) {
+      results.push({ ...result, action: 'error', errors: ['Duplicate SKU in this file'] });
+      summary.errors++;
+      continue;
+    }
+    seenSkus.add(sku);
+
+    try {
+      const existing = await Product.findOne({ sku });
+      const doc = existing || new Product();
+      const before = existing ? existing.toObject() : {};
+      doc.set(fields);
+
+      const validationError = doc.validateSync();
+      if (validationError) {
+        results.push({
+          ...result,
+          action: 'error',
+          errors: Object.values(validationError.errors).map(e => e.message)
+        });
+        summary.errors++;
+        continue;
+      }
+
+      if (!existing) {
+        if (!dryRun) await doc.save();
+        results.push({ ...result, action: 'create' });
+        summary.created++;
+        continue;
+      }
+
+      const changes = {};
+      Object.keys(fields).forEach(field => {
+        const next = doc.get(field);
+        const nextPlain = next && next.toObject ? next.toObject() : next;
+        if (!sameProductValue(before[field], nextPlain)) {
+          changes[field] = { from: before[field], to: nextPlain };
+        }
+      });
+
+      if (Object.keys(changes).length === 0) {
+        results.push({ ...result, action: 'unchanged' });
+        summary.unchanged++;
+        continue;
+      }
+
+      if (!dryRun) {
+        doc.updatedAt = new Date();
+        await doc.save();
+      }
+      results.push({ ...result, action: 'update', changes });
+      summary.updated++;
+    } catch (error) {
+      results.push({ ...result, action: 'error', errors: [error.message] });
+      summary.errors++;
+    }
+  }
+
+  return { dryRun, summary, rows: results };
+};
+
+// Stock reservation
+// Each line is taken with a conditional $inc so two orders can't both take the last units.
+const releaseStock = async (lines) => {
+  for (const line of lines) {
+    await Product.updateOne(
+      { _id: line.productId },
+      { $inc: { stockQuantity: line.quantity }, $set: { updatedAt: new Date() } }
+    );
+    await Product.updateOne(
+      { _id: line.productId, stockQuantity: { $gt: 0 }, inStock: false },
+      { $set: { inStock: true } }
+    );
+  }
+};
+
+const reserveStock = async (lines) => {
+  const reserved = [];
+  const shortages = [];
+
+  for (const line of lines) {
+    const product = await Product.findOneAndUpdate(
+      { _id: line.productId, isActive: true, inStock: true, stockQuantity: { $gte: line.quantity } },
+      { $inc: { stockQuantity: -line.quantity }, $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!product) {
+      const current = await Product.findById(line.productId).select('name stockQuantity inStock');
+      shortages.push({
+        productId: line.productId,
+        name: current ? current.name : undefined,
+        requested: line.quantity,
+        available: current && current.inStock ? Math.max(current.stockQuantity, 0) : 0
+      });
+      continue;
+    }
+
+    reserved.push(line);
+    if (product.stockQuantity <= 0) {
+      await Product.updateOne({ _id: product._id, stockQuantity: { $lte: 0 } }, { $set: { inStock: false } });
+    }
+  }
+
+  // All or nothing: give back what was taken if any line came up short
+  if (shortages.length > 0) {
+    await releaseStock(reserved);
+  }
+
+  return { shortages };
+};
+
+// Pricing engine - the single place cart, quote and order totals are computed
+const roundMoney = value => Math.round(value * 100) / 100;
+
+// Seller details printed on invoices; the state decides CGST+SGST vs IGST
+const SHOP_DETAILS = {
+  name: process.env.SHOP_NAME || 'Rudra Tailoring Shop',
+  address: process.env.SHOP_ADDRESS || '',
+  state: process.env.SHOP_STATE || 'Telangana',
+  gstin: process.env.SHOP_GSTIN || '',
+  invoicePrefix: process.env.INVOICE_PREFIX || 'INV'
+};
+
+const PRICING_CONFIG = {
+  // Flat charge added once per order on top of per-product delivery charges
+  orderDeliveryCharge: Number(process.env.ORDER_DELIVERY_CHARGE) || 0,
+  // Delivery is free when the discounted subtotal reaches this (0 disables)
+  freeDeliveryThreshold: process.env.FREE_DELIVERY_THRESHOLD !== undefined
+    ? Number(process.env.FREE_DELIVERY_THRESHOLD)
+    : 999,
+  // GST % for products without their own gstRate, added on the discounted item total
+  taxRate: Number(process.env.TAX_RATE) || 0,
+  shopState: SHOP_DETAILS.state
+};
+
+// States are typed free-form, so compare them loosely
+const normalizeState = state => String(state || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Delivery to another state is inter-state supply (IGST); no state means the shop's own
+const isInterStateSupply = (deliveryState, shopState) =>
+  Boolean(deliveryState) && normalizeState(deliveryState) !== normalizeState(shopState);
+
+// Does a coupon cover products in this category? No categories means everything.
+const couponCoversCategory = (coupon, category) =>
+  !coupon.categories || coupon.categories.length === 0 || coupon.categories.includes(category);
+
+/**
+ * Price a list of { product, quantity } items, optionally with a coupon.
+ * Each product's discount % applies to its line; a coupon discount is then spread
+ * across the lines it covers. Delivery is each product's deliveryCharge (once per
+ * line) plus the per-order charge, waived above the free-delivery threshold or
+ * by a free-delivery coupon.
+ * GST is charged per line at the product's rate and split into CGST+SGST, or IGST
+ * when deliveryState differs from the shop's state. The split never changes the total.
+ */
+const calculatePricing = (items, { coupon, deliveryState, deliverySurcharge = 0 } = {}, config = PRICING_CONFIG) => {
+  const lines = items.map(({ product, quantity }) => {
+    const lineSubtotal = roundMoney(product.price * quantity);
+    const lineDiscount = roundMoney(lineSubtotal * (product.discount || 0) / 100);
+
+    return {
+      productId: product._id,
+      name: product.name,
+      category: product.category,
+      quantity,
+      unitPrice: product.price,
+      discountPercent: product.discount || 0,
+      lineSubtotal,
+      lineDiscount,
+      lineTotal: roundMoney(lineSubtotal - lineDiscount),
+      couponDiscount: 0,
+      deliveryCharge: product.deliveryCharge || 0,
+      hsnCode: product.hsnCode,
+      gstRate: product.gstRate !== undefined && product.gstRate !== null ? product.gstRate : config.taxRate,
+      taxableValue: 0,
+      cgst: 0,
+      sgst: 0,
+      igst: 0,
+      tax: 0
+    };
+  });
+
+  const sum = key => roundMoney(lines.reduce((total, line) => total + line[key], 0));
+  const subtotal = sum('lineSubtotal');
+  const productDiscount = sum('lineDiscount');
+  const itemsTotal = roundMoney(subtotal - productDiscount);
+
+  let couponDiscount = 0;
+  if (coupon) {
+    const eligible = lines.filter(line => couponCoversCategory(coupon, line.category));
+    const eligibleTotal = roundMoney(eligible.reduce((total, line) => total + line.lineTotal, 0));
+
+    if (coupon.type === 'percentage') {
+      couponDiscount = roundMoney(eligibleTotal * coupon.value / 100);
+      if (coupon.maxDiscount) couponDiscount = Math.min(couponDiscount, coupon.maxDiscount);
+    } else if (coupon.type === 'flat') {
+      couponDiscount = Math.min(coupon.value, eligibleTotal);
+    }
+
+    // Spread over the covered lines in proportion; the last line takes the rounding remainder
+    let remaining = couponDiscount;
+    eligible.forEach((line, index) => {
+      const share = index === eligible.length - 1
+        ? remaining
+        : roundMoney(couponDiscount * line.lineTotal / eligibleTotal);
+      line.couponDiscount = roundMoney(Math.min(share, line.lineTotal));
+      remaining = roundMoney(remaining - line.couponDiscount);
+    });
+  }
+
+  const interState = isInterStateSupply(deliveryState, config.shopState);
+  lines.forEach(line => {
+    line.taxableValue = roundMoney(line.lineTotal - line.couponDiscount);
+    line.tax = roundMoney(line.taxableValue * line.gstRate / 100);
+    if (interState) {
+      line.igst = line.tax;
+    } else {
+      line.cgst = roundMoney(line.tax / 2);
+      line.sgst = roundMoney(line.tax - line.cgst);
+    }
+  });
+  const tax = sum('tax');
+
+  // Invoice summary: one row per HSN code and rate
+  const taxLines = [];
+  lines.forEach(line => {
+    let row = taxLines.find(r => r.hsnCode === line.hsnCode && r.gstRate === line.gstRate);
+    if (!row) {
+      row = { hsnCode: line.hsnCode, gstRate: line.gstRate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+      taxLines.push(row);
+    }
+    ['taxableValue', 'cgst', 'sgst', 'igst'].forEach(key => {
+      row[key] = roundMoney(row[key] + line[key]);
+    });
+  });
+  const discountedItemsTotal = roundMoney(itemsTotal - couponDiscount);
+
+  const deliveryBeforeWaiver = lines.length > 0
+    ? roundMoney(sum('deliveryCharge') + config.orderDeliveryCharge)
+    : 0;
+  const freeDelivery = (config.freeDeliveryThreshold > 0 && discountedItemsTotal >= config.freeDeliveryThreshold) ||
+    Boolean(coupon && coupon.type === 'free_delivery');
+  const deliveryCharge = freeDelivery ? 0 : deliveryBeforeWaiver;
+  const surcharge = lines.length > 0 ? roundMoney(deliverySurcharge) : 0;
+
+  return {
+    lines,
+    subtotal,
+    productDiscount,
+    couponCode: coupon ? coupon.code : undefined,
+    couponDiscount,
+    deliveryCharge,
+    freeDelivery,
+    freeDeliveryThreshold: config.freeDeliveryThreshold,
+    deliverySurcharge: surcharge,
+    supplyType: interState ? 'inter-state' : 'intra-state',
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    tax,
+    taxLines,
+    total: roundMoney(discountedItemsTotal + tax + deliveryCharge + surcharge)
+  };
+};
+
+// Order line/summary fields as stored on the order
+const orderLinePricing = line => ({
+  unitPrice: line.unitPrice,
+  discountPercent: line.discountPercent,
+  lineSubtotal: line.lineSubtotal,
+  lineDiscount: line.lineDiscount,
+  lineTotal: line.lineTotal,
+  couponDiscount: line.couponDiscount,
+  deliveryCharge: line.deliveryCharge,
+  hsnCode: line.hsnCode,
+  gstRate: line.gstRate,
+  taxableValue: line.taxableValue,
+  cgst: line.cgst,
+  sgst: line.sgst,
+  igst: line.igst,
+  tax: line.tax
+});
+
+const pricingSummary = pricing => ({
+  subtotal: pricing.subtotal,
+  productDiscount: pricing.productDiscount,
+  couponCode: pricing.couponCode,
+  couponDiscount: pricing.couponDiscount,
+  deliveryCharge: pricing.deliveryCharge,
+  freeDelivery: pricing.freeDelivery,
+  deliverySurcharge: pricing.deliverySurcharge,
+  supplyType: pricing.supplyType,
+  cgst: pricing.cgst,
+  sgst: pricing.sgst,
+  igst: pricing.igst,
+  tax: pricing.tax,
+  taxLines: pricing.taxLines,
+  total: pricing.total
+});
+
+// Delivery serviceability
+const DELIVERY_CONFIG = {
+  // Transit days per zone, used when a pincode has no slaDays of its own
+  zoneSlaDays: { Local: 2, Regional: 4, National: 6, Remote: 9 },
+  // Days the workshop needs before a custom-stitched order can be dispatched
+  stitchingLeadDays: process.env.STITCHING_LEAD_DAYS !== undefined
+    ? Number(process.env.STITCHING_LEAD_DAYS)
+    : 3
+};
+
+const findServiceableArea = pincode => ServiceablePincode.findOne({ pincode: String(pincode).trim(), isActive: true });
+
+// Delivery surcharge for the optional pincode on a price quote: { surcharge }, or { error } if we don't deliver there
+const quoteSurcharge = async pincode => {
+  if (!pincode) return { surcharge: 0 };
+  const area = await findServiceableArea(pincode);
+  if (!area) return { error: 'We do not deliver to this pincode yet' };
+  return { surcharge: area.surcharge };
+};
+
+// Days until delivery for a serviceable area; tailored orders wait for stitching first
+const deliveryEstimate = (area, { tailored = false, from = new Date() } = {}) => {
+  const transitDays = area.slaDays || DELIVERY_CONFIG.zoneSlaDays[area.zone];
+  const stitchingDays = tailored ? DELIVERY_CONFIG.stitchingLeadDays : 0;
+  const days = transitDays + stitchingDays;
+  return {
+    transitDays,
+    stitchingDays,
+    days,
+    estimatedDelivery: new Date(from.getTime() + days * 24 * 60 * 60 * 1000)
+  };
+};
+
+// Pincode import helpers
+const PINCODE_FIELDS = ['pincode', 'city', 'state', 'zone', 'codAvailable', 'slaDays', 'surcharge', 'isActive'];
+
+// Turn a CSV/JSON row into typed pincode fields; blanks are left out
+const normalizePincodeRow = row => {
+  const fields = {};
+  PINCODE_FIELDS.forEach(field => {
+    let value = row[field];
+    if (value === undefined || value === null) return;
+    if (typeof value === 'string') {
+      value = value.trim();
+      if (value === '') return;
+    }
+
+    if (['slaDays', 'surcharge'].includes(field)) {
+      fields[field] = typeof value === 'number' ? value : Number(value);
+    } else if (['codAvailable', 'isActive'].includes(field)) {
+      const text = String(value).toLowerCase();
+      if (['true', 'yes', '1'].includes(text)) fields[field] = true;
+      else if (['false', 'no', '0'].includes(text)) fields[field] = false;
+      else fields[field] = value;
+    } else if (field === 'zone') {
+      // Accept any capitalisation of a known zone
+      const zone = DELIVERY_ZONES.find(z => z.toLowerCase() === String(value).toLowerCase());
+      fields[field] = zone || value;
+    } else {
+      fields[field] = String(value);
+    }
+  });
+  return fields;
+};
+
+/**
+ * Upsert serviceable pincodes, validating each row on its own like the product import.
+ * With dryRun, nothing is written and the report shows what would change.
+ */
+const importPincodeRows = async (rows, { dryRun = true, firstRowNumber = 1 } = {}) => {
+  const results = [];
+  const summary = { total: rows.length, created: 0, updated: 0, unchanged: 0, errors: 0 };
+  const seen = new Set();
+
+  for (const [index, row] of rows.entries()) {
+    const fields = normalizePincodeRow(row);
+    const result = { row: index + firstRowNumber, pincode: fields.pincode || '' };
+
+    if (!fields.pincode) {
+      results.push({ ...result, action: 'error', errors: ['Pincode is required'] });
+      summary.errors++;
+      continue;
+    }
+    if (seen.has(fields.pincode)) {
+      results.push({ ...result, action: 'error', errors: ['Duplicate pincode in this file'] });
+      summary.errors++;
+      continue;
+    }
+    seen.add(fields.pincode);
+
+    try {
+      const existing = await ServiceablePincode.findOne({ pincode: fields.pincode });
+      const doc = existing || new ServiceablePincode();
+      const before = existing ? existing.toObject() : {};
+      doc.set(fields);
+
+      const validationError = doc.validateSync();
+      if (validationError) {
+        results.push({
+          ...result,
+          action: 'error',
+          errors: Object.values(validationError.errors).map(e => e.message)
+        });
+        summary.errors++;
+        continue;
+      }
+
+      if (!existing) {
+        if (!dryRun) await doc.save();
+        results.push({ ...result, action: 'create' });
+        summary.created++;
+        continue;
+      }
+
+      const changes = {};
+      Object.keys(fields).forEach(field => {
+        if (!sameProductValue(before[field], doc.get(field))) {
+          changes[field] = { from: before[field], to: doc.get(field) };
+        }
+      });
+
+      if (Object.keys(changes).length === 0) {
+        results.push({ ...result, action: 'unchanged' });
+        summary.unchanged++;
+        continue;
+      }
+
+      if (!dryRun) {
+        doc.updatedAt = new Date();
+        await doc.save();
+      }
+      results.push({ ...result, action: 'update', changes });
+      summary.updated++;
+    } catch (error) {
+      results.push({ ...result, action: 'error', errors: [error.message] });
+      summary.errors++;
+    }
+  }
+
+  return { dryRun, summary, rows: results };
+};
+
+// Coupons
+/**
+ * Look up a coupon and check whether this user may use it on these items.
+ * Returns { coupon } or { error }.
+ */
+const findApplicableCoupon = async (code, userId, items) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  if (!coupon || !coupon.isActive) {
+    return { error: 'Invalid coupon code' };
+  }
+
+  const now = new Date();
+  if (coupon.validFrom && now < coupon.validFrom) {
+    return { error: 'This coupon is not active yet' };
+  }
+  if (coupon.validTo && now > coupon.validTo) {
+    return { error: 'This coupon has expired' };
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return { error: 'This coupon has reached its usage limit' };
+  }
+
+  const userUses = coupon.redemptions.filter(r => r.userId.toString() === String(userId)).length;
+  if (coupon.perUserLimit && userUses >= coupon.perUserLimit) {
+    return { error: 'You have already used this coupon' };
+  }
+
+  if (!items.some(({ product }) => couponCoversCategory(coupon, product.category))) {
+    return { error: `This coupon only applies to ${coupon.categories.join(', ')}` };
+  }
+
+  const base = calculatePricing(items);
+  const itemsTotal = roundMoney(base.subtotal - base.productDiscount);
+  if (itemsTotal < coupon.minOrderValue) {
+    return { error: `Add items worth ₹${roundMoney(coupon.minOrderValue - itemsTotal)} more to use this coupon` };
+  }
+
+  return { coupon };
+};
+
+// Atomically record a use, re-checking the global and per-user limits in the same update
+const redeemCoupon = async (coupon, userId, orderId) => {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const redeemed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $expr: {
+        $and: [
+          { $or: [{ $eq: [{ $ifNull: ['$usageLimit', 0] }, 0] }, { $lt: ['$usedCount', '$usageLimit'] }] },
+          { $or: [
+            { $eq: [{ $ifNull: ['$perUserLimit', 0] }, 0] },
+            { $lt: [
+              { $size: { $filter: { input: '$redemptions', cond: { $eq: ['$$this.userId', userObjectId] } } } },
+              '$perUserLimit'
+            ] }
+          ] }
+        ]
+      }
+    },
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: { userId: userObjectId, orderId, redeemedAt: new Date() } }
+    },
+    { new: true }
+  );
+  return Boolean(redeemed);
+};
+
+// Give a coupon use back (failed or cancelled order)
+const releaseCoupon = async (couponCode, orderId) => {
+  if (!couponCode) return;
+  await Coupon.updateOne(
+    { code: couponCode, 'redemptions.orderId': orderId },
+    { $inc: { usedCount: -1 }, $pull: { redemptions: { orderId } } }
+  );
+};
+
+// Invoices
+const escapeHtml = value => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatRupees = value => `₹${(Number(value) || 0).toFixed(2)}`;
+
+// Indian financial year (April-March) a date falls in, e.g. "26-27"
+const financialYear = date => {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${String(startYear).slice(-2)}-${String(startYear + 1).slice(-2)}`;
+};
+
+// A claim older than this belongs to a request that died before storing its number
+const INVOICE_CLAIM_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Give an order its invoice number the first time it is needed.
+ * Numbers run in sequence per financial year, e.g. INV/26-27/00001
+ * (GST allows at most 16 characters). The order is claimed before a
+ * number is taken, so concurrent downloads never skip a number.
+ */
+const issueInvoice = async order => {
+  if (order.invoice && order.invoice.number) {
+    return order.invoice;
+  }
+
+  const claimedAt = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      'invoice.number': { $exists: false },
+      $or: [
+        { 'invoice.claimedAt': { $exists: false } },
+        { 'invoice.claimedAt': { $lt: new Date(claimedAt.getTime() - INVOICE_CLAIM_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { 'invoice.claimedAt': claimedAt } }
+  );
+
+  if (!claimed) {
+    // Another request is issuing it; wait for its number
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const current = await Order.findById(order._id).select('invoice');
+      if (current && current.invoice && current.invoice.number) {
+        return current.invoice;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`Invoice for order ${order._id} is still being issued`);
+  }
+
+  const issuedAt = new Date();
+  const year = financialYear(issuedAt);
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `invoice-${year}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, 'invoice.claimedAt': claimedAt },
+    {
+      $set: {
+        'invoice.number': `${SHOP_DETAILS.invoicePrefix}/${year}/${String(counter.seq).padStart(5, '0')}`,
+        'invoice.issuedAt': issuedAt
+      },
+      $unset: { 'invoice.claimedAt': '' }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new Error(`Invoice claim on order ${order._id} expired before number ${counter.seq} was stored`);
+  }
+  return updated.invoice;
+};
+
+const renderInvoiceHtml = (order, invoice) => {
+  const pricing = order.pricing || {};
+  const interState = pricing.supplyType === 'inter-state';
+  const address = order.deliveryAddress || {};
+
+  const lineRows = order.products.map((line, index) => {
+    const linePricing = line.pricing || {};
+    const name = line.productId && line.productId.name ? line.productId.name : 'Item';
+    const taxCells = interState
+      ? `<td>${formatRupees(linePricing.igst)}</td>`
+      : `<td>${formatRupees(linePricing.cgst)}</td><td>${formatRupees(linePricing.sgst)}</td>`;
+    return `
+      <tr>
+        <td>${index + 1}</td>
+        <td>${escapeHtml(name)}</td>
+        <td>${escapeHtml(linePricing.hsnCode || '-')}</td>
+        <td>${line.quantity}</td>
+        <td>${formatRupees(linePricing.unitPrice || line.price)}</td>
+        <td>${formatRupees((linePricing.lineDiscount || 0) + (linePricing.couponDiscount || 0))}</td>
+        <td>${formatRupees(linePricing.taxableValue)}</td>
+        <td>${linePricing.gstRate || 0}%</td>
+        ${taxCells}
+        <td>${formatRupees((linePricing.taxableValue || 0) + (linePricing.tax || 0))}</td>
+      </tr>`;
+  }).join('');
+
+  const taxHeaders = interState ? '<th>IGST</th>' : '<th>CGST</th><th>SGST</th>';
+  const hsnRows = (pricing.taxLines || []).map(row => `
+      <tr>
+        <td>${escapeHtml(row.hsnCode || '-')}</td>
+        <td>${row.gstRate}%</td>
+        <td>${formatRupees(row.taxableValue)}</td>
+        ${interState
+          ? `<td>${formatRupees(row.igst)}</td>`
+          : `<td>${formatRupees(row.cgst)}</td><td>${formatRupees(row.sgst)}</td>`}
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Tax Invoice ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #333; margin: 30px; }
+    h1 { font-size: 22px; margin-bottom: 5px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 20px; font-size: 13px; }
+    th, td { border: 1px solid #ccc; padding: 6px; text-align: left; }
+    th { background-color: #f1f1f1; }
+    .parties { display: flex; justify-content: space-between; margin-top: 20px; }
+    .totals { margin-top: 20px; margin-left: auto; width: 300px; }
+    .totals div { display: flex; justify-content: space-between; margin-bottom: 5px; }
+    .grand-total { font-weight: bold; font-size: 16px; }
+    .footer { margin-top: 30px; font-size: 12px; color: #666; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>Tax Invoice</h1>
+  <div class="parties">
+    <div>
+      <strong>${escapeHtml(SHOP_DETAILS.name)}</strong><br>
+      ${SHOP_DETAILS.address ? `${escapeHtml(SHOP_DETAILS.address)}<br>` : ''}
+      State: ${escapeHtml(SHOP_DETAILS.state)}<br>
+      ${SHOP_DETAILS.gstin ? `GSTIN: ${escapeHtml(SHOP_DETAILS.gstin)}` : ''}
+    </div>
+    <div>
+      Invoice No: <strong>${escapeHtml(invoice.number)}</strong><br>
+      Invoice Date: ${invoice.issuedAt.toDateString()}<br>
+      Order No: ${escapeHtml(order.orderNumber)}<br>
+      Order Date: ${order.orderDate.toDateString()}
+    </div>
+  </div>
+  <div class="parties">
+    <div>
+      <strong>Bill / Ship To</strong><br>
+      ${escapeHtml(address.name)}<br>
+      ${escapeHtml(address.address)}<br>
+      ${escapeHtml(address.state)} ${escapeHtml(address.pincode)}<br>
+      Phone: ${escapeHtml(address.phone)}
+    </div>
+    <div>
+      Place of Supply: ${escapeHtml(address.state || SHOP_DETAILS.state)}<br>
+      Payment: ${escapeHtml(order.paymentMethod)}
+    </div>
+  </div>
+
+  <table>
+    <thead>
+      <tr>
+        <th>#</th><th>Item</th><th>HSN</th><th>Qty</th><th>Rate</th><th>Discount</th>
+        <th>Taxable Value</th><th>GST</th>${taxHeaders}<th>Amount</th>
+      </tr>
+    </thead>
+    <tbody>${lineRows}
+    </tbody>
+  </table>
+
+  ${hsnRows ? `
+  <table>
+    <thead>
+      <tr><th>HSN</th><th>GST Rate</th><th>Taxable Value</th>${taxHeaders}</tr>
+    </thead>
+    <tbody>${hsnRows}
+    </tbody>
+  </table>` : ''}
+
+  <div class="totals">
+    <div><span>Subtotal</span><span>${formatRupees(pricing.subtotal)}</span></div>
+    ${pricing.productDiscount ? `<div><span>Discount</span><span>-${formatRupees(pricing.productDiscount)}</span></div>` : ''}
+    ${pricing.couponDiscount ? `<div><span>Coupon ${escapeHtml(pricing.couponCode)}</span><span>-${formatRupees(pricing.couponDiscount)}</span></div>` : ''}
+    ${interState
+      ? `<div><span>IGST</span><span>${formatRupees(pricing.igst)}</span></div>`
+      : `<div><span>CGST</span><span>${formatRupees(pricing.cgst)}</span></div>
+    <div><span>SGST</span><span>${formatRupees(pricing.sgst)}</span></div>`}
+    <div><span>Delivery</span><span>${pricing.freeDelivery ? 'Free' : formatRupees(pricing.deliveryCharge)}</span></div>
+    ${pricing.deliverySurcharge ? `<div><span>Delivery surcharge</span><span>${formatRupees(pricing.deliverySurcharge)}</span></div>` : ''}
+    <div class="grand-total"><span>Total</span><span>${formatRupees(order.totalAmount)}</span></div>
+  </div>
+
+  <p class="footer">This is a computer generated invoice and does not need a signature.</p>
+</body>
+</html>`;
+};
+
+// Add to the user's cart (or top up the line); returns the line's new quantity
+const addProductToCart = async (userId, product, quantity) => {
+  let cart = await Cart.findOne({ userId });
+  if (!cart) {
+    cart = new Cart({ userId, products: [] });
+  }
+
+  const existingProduct = cart.products.find(p => p.productId.equals(product._id));
+  if (existingProduct) {
+    existingProduct.quantity += quantity;
+  } else {
+    cart.products.push({ productId: product._id, quantity });
+  }
+
+  cart.updatedAt = new Date();
+  await cart.save();
+  return existingProduct ? existingProduct.quantity : quantity;
+};
+
+// Populated cart with server-side pricing, returned by every cart endpoint
+const buildCartView = async (userId) => {
+  const cart = await Cart.findOne({ userId }).populate('products.productId');
+  // Skip items whose product was removed from the catalog
+  const items = cart ? cart.products.filter(item => item.productId && item.productId.isActive) : [];
+  const pricing = calculatePricing(items.map(item => ({ product: item.productId, quantity: item.quantity })));
+
+  return {
+    _id: cart ? cart._id : undefined,
+    userId,
+    products: items.map((item, index) => ({
+      ...item.toObject(),
+      pricing: orderLinePricing(pricing.lines[index])
+    })),
+    pricing: { ...pricingSummary(pricing), freeDeliveryThreshold: pricing.freeDeliveryThreshold },
+    updatedAt: cart ? cart.updatedAt : undefined
+  };
+};
+
+// Warn (but allow) when a cart quantity is more than we have
+const stockWarningFor = (product, requested) => {
+  const available = product.inStock ? Math.max(product.stockQuantity, 0) : 0;
+  if (available === 0) {
+    return { warning: 'This product is currently out of stock', available };
+  }
+  if (requested > available) {
+    return { warning: `Only ${available} left in stock`, available };
+  }
+  return { available };
+};
+
+// Combine order lines per product so each product is reserved once
+const stockLinesFor = (products) => {
+  const totals = new Map();
+  products.forEach(item => {
+    const key = item.productId.toString();
+    totals.set(key, (totals.get(key) || 0) + item.quantity);
+  });
+  return Array.from(totals, ([productId, quantity]) => ({ productId, quantity }));
+};
+
+// Claim a cancellation in the database before giving anything back, so two concurrent
+// cancels can't both restore the stock, release the coupon or refund. The claim only
+// succeeds while the stored status is still the one the caller checked. Returns the order
+// as it was before the claim, or null when another request got there first.
+const claimCancellation = order => Order.findOneAndUpdate(
+  { _id: order._id, status: order.status },
+  { $set: { status: 'Cancelled', stockReserved: false, updatedAt: new Date() } }
+);
+
+/**
+ * Move an order to a new status if the workflow allows it.
+ * Records the change in statusHistory and returns an error message, or null on success.
+ * The caller saves the order.
+ */
+const transitionOrderStatus = async (order, nextStatus, { changedBy, note, trackingNumber } = {}) => {
+  if (!ORDER_STATUSES.includes(nextStatus)) {
+    return `Unknown status ${nextStatus}`;
+  }
+  if (!ORDER_STATUS_TRANSITIONS[order.status].includes(nextStatus)) {
+    return `Cannot change order status from ${order.status} to ${nextStatus}`;
+  }
+
+  if (nextStatus === 'Confirmed' && ONLINE_PAYMENT_METHODS.includes(order.paymentMethod) && order.paymentStatus !== 'Paid') {
+    return 'Orders paid online are confirmed once the payment succeeds';
+  }
+
+  if (nextStatus === 'Shipped') {
+    if (trackingNumber) order.trackingNumber = String(trackingNumber).trim();
+    if (!order.trackingNumber) {
+      return 'A tracking number is required to mark an order as Shipped';
+    }
+  }
+
+  if (nextStatus === 'Delivered') order.deliveredAt = new Date();
+  if (nextStatus === 'Cancelled') {
+    const before = await claimCancellation(order);
+    if (!before) {
+      return 'This order has already been cancelled or can no longer be cancelled';
+    }
+    if (before.stockReserved) {
+      await releaseStock(stockLinesFor(order.products));
+    }
+    order.stockReserved = false;
+    await releaseCoupon(order.couponCode, order._id);
+    // Prepaid orders are refunded in full (going by the stored payment status, which a
+    // webhook may have changed since this copy of the order was read)
+    order.paymentStatus = before.paymentStatus;
+    if (order.paymentStatus === 'Paid') {
+      order.paymentStatus = 'Refunded';
+      order.refund = { amount: order.totalAmount, status: 'Initiated', initiatedAt: new Date() };
+      await recordTransaction(order, 'Refund', { status: 'Initiated', reason: note || 'Order cancelled' });
+    }
+  }
+
+  order.status = nextStatus;
+  order.statusHistory.push({ status: nextStatus, changedBy, changedAt: new Date(), note });
+  order.updatedAt = new Date();
+  return null;
+};
+
+// Add an entry to the payment audit trail. Logging must not undo the payment change
+// it describes, so failures are only reported.
+const recordTransaction = async (order, type, fields = {}) => {
+  try {
+    await Transaction.create({
+      userId: order.userId,
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      type,
+      paymentMethod: order.paymentMethod,
+      provider: order.payment && order.payment.provider,
+      intentId: order.payment && order.payment.intentId,
+      amount: order.totalAmount,
+      currency: (order.payment && order.payment.currency) || 'INR',
+      ...fields
+    });
+  } catch (error) {
+    console.error('Record transaction error:', error);
+  }
+};
+
+// Build a transaction query from ?from=&to=&type= (dates are inclusive). Returns { query } or { error }.
+const transactionQuery = ({ from, to, type }) => {
+  const query = {};
+  if (type) {
+    if (!TRANSACTION_TYPES.includes(type)) {
+      return { error: `Type must be one of ${TRANSACTION_TYPES.join(', ')}` };
+    }
+    query.type = type;
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) {
+      const start = new Date(from);
+      if (isNaN(start)) return { error: 'Invalid from date' };
+      query.createdAt.$gte = start;
+    }
+    if (to) {
+      const end = new Date(to);
+      if (isNaN(end)) return { error: 'Invalid to date' };
+      // A plain date means the whole of that day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCDate(end.getUTCDate() + 1);
+      else end.setMilliseconds(end.getMilliseconds() + 1);
+      query.createdAt.$lt = end;
+    }
+  }
+
+  return { query };
+};
+
+// Payment gateway. The built-in webhook secret only exists in development and tests
+const PAYMENT_DEV_MODE = ['development', 'test'].includes(process.env.NODE_ENV);
+const PAYMENT_CONFIG = {
+  provider: process.env.PAYMENT_PROVIDER || 'mock',
+  webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || (PAYMENT_DEV_MODE ? 'dev-webhook-secret' : undefined),
+  currency: 'INR',
+  // Unpaid Card/UPI orders hold stock; they are cancelled once this long has passed
+  timeoutMinutes: Number(process.env.PAYMENT_TIMEOUT_MINUTES) || 30
+};
+
+const signPayload = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Every provider has the same shape:
+ *   createIntent({ orderId, orderNumber, amount, currency, method }) -> { intentId, clientSecret, checkoutUrl }
+ *   parseWebhook(rawBody, headers) -> { id, type, intentId, amount, failureReason }, or null for a bad signature
+ * where type is 'payment.succeeded' or 'payment.failed'.
+ */
+const mockPaymentProvider = {
+  name: 'mock',
+
+  async createIntent() {
+    const intentId = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+    return { intentId, clientSecret: `${intentId}_secret_${crypto.randomBytes(8).toString('hex')}` };
+  },
+
+  parseWebhook(rawBody, headers) {
+    const signature = headers['x-mock-signature'];
+    if (!rawBody || !signature || !safeEqual(signature, signPayload(rawBody, PAYMENT_CONFIG.webhookSecret))) {
+      return null;
+    }
+    const event = JSON.parse(rawBody);
+    return {
+      id: event.id,
+      type: event.type,
+      intentId: event.data && event.data.intentId,
+      amount: event.data && event.data.amount,
+      failureReason: event.data && event.data.failureReason
+    };
+  },
+
+  // Signed webhook as the mock gateway would send it (development only)
+  buildWebhook(intentId, amount, outcome) {
+    const rawBody = JSON.stringify({
+      id: `mock_evt_${crypto.randomBytes(12).toString('hex')}`,
+      type: outcome === 'succeeded' ? 'payment.succeeded' : 'payment.failed',
+      data: {
+        intentId,
+        amount,
+        failureReason: outcome === 'succeeded' ? undefined : 'Payment declined by the test gateway'
+      }
+    });
+    return { rawBody, headers: { 'x-mock-signature': signPayload(rawBody, PAYMENT_CONFIG.webhookSecret) } };
+  }
+};
+
+const PAYMENT_PROVIDERS = { mock: mockPaymentProvider };
+
+// Why Card/UPI payments can't be taken with this configuration, or null when they can
+const paymentSetupProblem = (() => {
+  const provider = PAYMENT_PROVIDERS[PAYMENT_CONFIG.provider];
+  if (!provider) return `unknown PAYMENT_PROVIDER "${PAYMENT_CONFIG.provider}"`;
+  // The mock provider lets anyone complete a payment, so it must never take real orders
+  if (provider.name === 'mock' && process.env.NODE_ENV === 'production') return 'the mock provider is not allowed when NODE_ENV=production';
+  if (!PAYMENT_CONFIG.webhookSecret) return 'PAYMENT_WEBHOOK_SECRET is not set';
+  return null;
+})();
+
+// Null when online payments are off; the shop keeps running with Cash on Delivery only
+const paymentProvider = paymentSetupProblem ? null : PAYMENT_PROVIDERS[PAYMENT_CONFIG.provider];
+if (paymentSetupProblem) {
+  console.warn(`⚠️  Card and UPI payments are turned off: ${paymentSetupProblem}`);
+}
+const ONLINE_PAYMENTS_OFF_ERROR = 'Card and UPI payments are not available right now. Please choose Cash on Delivery';
+
+// Create a gateway payment for an online order and return what the client needs to pay
+const startPayment = async order => {
+  const intent = await paymentProvider.createIntent({
+    orderId: order._id.toString(),
+    orderNumber: order.orderNumber,
+    amount: order.totalAmount,
+    currency: PAYMENT_CONFIG.currency,
+    method: order.paymentMethod
+  });
+
+  const previousIntents = order.payment && order.payment.intentId
+    ? [...order.payment.previousIntents, order.payment.intentId]
+    : [];
+  order.payment = {
+    provider: paymentProvider.name,
+    intentId: intent.intentId,
+    previousIntents,
+    amount: order.totalAmount,
+    currency: PAYMENT_CONFIG.currency,
+    processedEvents: order.payment ? order.payment.processedEvents : []
+  };
+  order.paymentStatus = 'Pending';
+  order.updatedAt = new Date();
+  await order.save();
+  await recordTransaction(order, 'Attempt', { status: 'Pending' });
+
+  return {
+    provider: paymentProvider.name,
+    intentId: intent.intentId,
+    clientSecret: intent.clientSecret,
+    checkoutUrl: intent.checkoutUrl,
+    amount: order.totalAmount,
+    currency: PAYMENT_CONFIG.currency
+  };
+};
+
+/**
+ * Verify and apply a gateway webhook. Each event id is applied at most once, so
+ * providers can safely retry. Returns { status, body } for the HTTP response.
+ */
+const processPaymentWebhook = async (rawBody, headers) => {
+  if (!paymentProvider) {
+    return { status: 503, body: { error: 'Payments are not configured' } };
+  }
+
+  let event;
+  try {
+    event = paymentProvider.parseWebhook(rawBody, headers);
+  } catch (parseError) {
+    event = null;
+  }
+  if (!event || !event.id || !event.intentId) {
+    return { status: 400, body: { error: 'Invalid webhook signature' } };
+  }
+
+  const order = await Order.findOne({
+    $or: [{ 'payment.intentId': event.intentId }, { 'payment.previousIntents': event.intentId }]
+  });
+  if (!order) {
+    return { status: 404, body: { error: 'Payment not found' } };
+  }
+
+  if (event.type === 'payment.succeeded' && Math.abs(Number(event.amount) - order.totalAmount) > 0.01) {
+    console.error(`Payment amount mismatch for order ${order.orderNumber}: got ${event.amount}, expected ${order.totalAmount}`);
+    return { status: 400, body: { error: 'Payment amount does not match the order' } };
+  }
+
+  // Claim the event id first so concurrent retries are applied only once
+  const claimed = await Order.updateOne(
+    { _id: order._id, 'payment.processedEvents': { $ne: event.id } },
+    { $push: { 'payment.processedEvents': event.id } }
+  );
+  if (claimed.modifiedCount === 0) {
+    return { status: 200, body: { received: true, duplicate: true } };
+  }
+
+  if (event.type === 'payment.succeeded' && order.paymentStatus !== 'Paid' && order.paymentStatus !== 'Refunded') {
+    order.paymentStatus = 'Paid';
+    order.payment.paidAt = new Date();
+    order.payment.failureReason = undefined;
+    await recordTransaction(order, 'Success', {
+      intentId: event.intentId,
+      eventId: event.id,
+      amount: Number(event.amount),
+      status: 'Paid'
+    });
+    if (order.status === 'Placed') {
+      await transitionOrderStatus(order, 'Confirmed', { note: 'Payment received' });
+    } else if (order.status === 'Cancelled') {
+      // Paid after the customer cancelled: refund it
+      order.paymentStatus = 'Refunded';
+      order.refund = { amount: order.totalAmount, status: 'Initiated', initiatedAt: new Date() };
+      await recordTransaction(order, 'Refund', {
+        intentId: event.intentId,
+        status: 'Initiated',
+        reason: 'Payment received after the order was cancelled'
+      });
+    }
+  } else if (event.type === 'payment.failed' && order.paymentStatus === 'Pending' &&
+    order.payment.intentId === event.intentId) {
+    // Failures of an older attempt, or after success, are ignored
+    order.paymentStatus = 'Failed';
+    order.payment.failedAt = new Date();
+    order.payment.failureReason = event.failureReason;
+    await recordTransaction(order, 'Failure', {
+      eventId: event.id,
+      status: 'Failed',
+      reason: event.failureReason
+    });
+  } else if (['payment.succeeded', 'payment.failed'].includes(event.type)) {
+    // Still keep ignored events (late failures, older attempts) in the audit trail
+    await recordTransaction(order, event.type === 'payment.succeeded' ? 'Success' : 'Failure', {
+      intentId: event.intentId,
+      eventId: event.id,
+      amount: Number(event.amount) || order.totalAmount,
+      status: 'Ignored',
+      reason: `Order payment was already ${order.paymentStatus}`
+    });
+  }
+
+  order.updatedAt = new Date();
+  await order.save();
+  return { status: 200, body: { received: true, paymentStatus: order.paymentStatus } };
+};
+
+// Cancel Card/UPI orders that were never paid (failed, or no webhook arrived) once the
+// payment window has passed, giving back their stock and coupon
+const expireUnpaidOrders = async () => {
+  try {
+    const cutoff = new Date(Date.now() - PAYMENT_CONFIG.timeoutMinutes * 60 * 1000);
+    const orders = await Order.find({
+      status: 'Placed',
+      paymentMethod: { $in: ONLINE_PAYMENT_METHODS },
+      paymentStatus: { $in: ['Pending', 'Failed'] },
+      orderDate: { $lt: cutoff }
+    });
+
+    for (const order of orders) {
+      // A payment that succeeds meanwhile moves the order to Confirmed, so the claim fails
+      const error = await transitionOrderStatus(order, 'Cancelled', { note: 'Payment not received in time' });
+      if (error) continue;
+      await order.save();
+      console.log(`Cancelled unpaid order ${order.orderNumber}`);
+    }
+  } catch (error) {
+    console.error('Expire unpaid orders error:', error);
+  }
+};
+
+// Customers may cancel until the order ships, and tailored items only until cutting starts
+const customerCancelError = (order) => {
+  if (!['Placed', 'Confirmed', 'Processing'].includes(order.status)) {
+    return `Orders that are ${order.status} can no longer be cancelled`;
+  }
+  const started = order.products.some(line =>
+    line.production && line.production.stage && line.production.stage !== PRODUCTION_STAGES[0]);
+  if (started) {
+    return 'Tailoring has already started on this order, so it can no longer be cancelled';
+  }
+  return null;
+};
+
+// One-time codes
+const OTP_EMAIL_SUBJECTS = {
+  'verify-email': 'Verify your email - Rudra Tailoring Shop',
+  login: 'Your login code - Rudra Tailoring Shop'
+};
+
+/**
+ * Email a fresh code to the user. Only the newest code for a purpose is valid, and a
+ * new one can be requested once every OTP_RESEND_SECONDS. Returns { sent } or { error, retryAfter }.
+ */
+const sendOtp = async (user, purpose) => {
+  const latest = await OtpCode.findOne({ userId: user._id, purpose }).sort({ createdAt: -1 });
+  if (latest) {
+    const waited = (Date.now() - latest.createdAt.getTime()) / 1000;
+    if (waited < OTP_RESEND_SECONDS) {
+      return { error: 'Please wait before requesting another code', retryAfter: Math.ceil(OTP_RESEND_SECONDS - waited) };
+    }
+  }
+
+  const code = String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+  await OtpCode.deleteMany({ userId: user._id, purpose });
+  await OtpCode.create({ userId: user._id, purpose, codeHash: await bcrypt.hash(code, 10) });
+
+  try {
+    await transporter.sendMail({
+      from: process.env.EMAIL_USER,
+      to: user.email,
+      subject: OTP_EMAIL_SUBJECTS[purpose],
+      html: `
+        <h2>${purpose === 'login' ? 'Login Code' : 'Verify Your Email'}</h2>
+        <p>Hello ${user.firstname},</p>
+        <p>Your verification code is:</p>
+        <p style="font-size: 28px; font-weight: bold; letter-spacing: 6px;">${code}</p>
+        <p>This code will expire in ${OTP_TTL_SECONDS / 60} minutes.</p>
+        <p>If you didn't request this, please ignore this email.</p>
+      `
+    });
+  } catch (emailError) {
+    console.log('Verification code email failed:', emailError.message);
+  }
+
+  return { sent: true };
+};
+
+// Check a code; it is used up on success and after OTP_MAX_ATTEMPTS wrong guesses
+const verifyOtp = async (userId, purpose, code) => {
+  const otp = await OtpCode.findOne({ userId, purpose });
+  if (!otp || Date.now() - otp.createdAt.getTime() > OTP_TTL_SECONDS * 1000) {
+    return { error: 'This code has expired. Please request a new one' };
+  }
+
+  const matches = await bcrypt.compare(String(code), otp.codeHash);
+  if (!matches) {
+    const updated = await OtpCode.findOneAndUpdate({ _id: otp._id }, { $inc: { attempts: 1 } }, { new: true });
+    if (!updated || updated.attempts >= OTP_MAX_ATTEMPTS) {
+      await OtpCode.deleteOne({ _id: otp._id });
+      return { error: 'Too many incorrect attempts. Please request a new code' };
+    }
+    return { error: 'Incorrect code', attemptsLeft: OTP_MAX_ATTEMPTS - updated.attempts };
+  }
+
+  await OtpCode.deleteOne({ _id: otp._id });
+  return { verified: true };
+};
+
+// Brute-force protection: after LOGIN_DELAY_AFTER failures each attempt must wait
+// longer (1s, 2s, 4s ... up to 30s), and LOGIN_MAX_ATTEMPTS failures lock the account
+const LOGIN_PROTECTION = {
+  delayAfter: 3,
+  maxDelaySeconds: 30,
+  maxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  lockMinutes: Number(process.env.LOGIN_LOCK_MINUTES) || 15
+};
+
+// Compared against when the username is unknown, so both cases take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 12);
+
+// Why this account may not try a password right now: { error, retryAfter } or null
+const loginThrottle = user => {
+  const now = Date.now();
+  if (user.lockUntil && user.lockUntil.getTime() > now) {
+    const minutes = Math.ceil((user.lockUntil.getTime() - now) / 60000);
+    return {
+      status: 423,
+      error: `This account is locked after too many failed logins. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password.`,
+      retryAfter: Math.ceil((user.lockUntil.getTime() - now) / 1000)
+    };
+  }
+
+  const failures = user.failedLoginAttempts || 0;
+  if (failures >= LOGIN_PROTECTION.delayAfter && user.lastFailedLoginAt) {
+    const delay = Math.min(2 ** (failures - LOGIN_PROTECTION.delayAfter), LOGIN_PROTECTION.maxDelaySeconds);
+    const waited = (now - user.lastFailedLoginAt.getTime()) / 1000;
+    if (waited < delay) {
+      const seconds = Math.ceil(delay - waited);
+      return {
+        status: 429,
+        error: `Too many failed attempts. Please wait ${seconds} second${seconds === 1 ? '' : 's'} and try again.`,
+        retryAfter: seconds
+      };
+    }
+  }
+  return null;
+};
+
+// Count a wrong password; locks the account (and emails the owner) once the limit is reached
+const recordFailedLogin = async user => {
+  const now = new Date();
+  // A lock that has run out starts a fresh count
+  const expiredLock = user.lockUntil && user.lockUntil <= now;
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    expiredLock
+      ? { $set: { failedLoginAttempts: 1, lastFailedLoginAt: now }, $unset: { lockUntil: 1 } }
+      : { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  );
+  if (updated.failedLoginAttempts < LOGIN_PROTECTION.maxAttempts) {
+    return null;
+  }
+
+  // Only the request that sets the lock sends the email
+  const lockUntil = new Date(now.getTime() + LOGIN_PROTECTION.lockMinutes * 60 * 1000);
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] },
+    { $set: { lockUntil } },
+    { new: true }
+  );
+  if (!locked) {
+    return null;
+  }
+
+  try {
+    await transporter.sendMail({
+      from: process.env.EMAIL_USER,
+      to: locked.email,
+      subject: 'Your account has been locked - Rudra Tailoring Shop',
+      html: `
+        <h2>Account Locked</h2>
+        <p>Hello ${locked.firstname},</p>
+        <p>We locked your account after ${locked.failedLoginAttempts} failed login attempts. You can try again after ${lockUntil.toLocaleString()}.</p>
+        <p>If this wasn't you, someone may be trying to guess your password. We recommend resetting it from the Forgot Password page.</p>
+      `
+    });
+  } catch (emailError) {
+    console.log('Account locked email failed:', emailError.message);
+  }
+
+  return lockUntil;
+};
+
+// Check the current password before an account change. Wrong guesses count toward the
+// same lockout as logins. Returns { status, body, retryAfter } to reply with, or null if it matches.
+const verifyCurrentPassword = async (user, password) => {
+  const throttle = loginThrottle(user);
+  if (throttle) {
+    return { status: throttle.status, body: { error: throttle.error, retryAfter: throttle.retryAfter }, retryAfter: throttle.retryAfter };
+  }
+
+  if (!(await bcrypt.compare(String(password), user.password))) {
+    const lockUntil = await recordFailedLogin(user);
+    if (lockUntil) {
+      return {
+        status: 423,
+        body: { error: `Too many wrong passwords. This account is locked for ${LOGIN_PROTECTION.lockMinutes} minutes; we've emailed the account owner.` }
+      };
+    }
+    return { status: 400, body: { error: 'Current password is incorrect', field: 'currentPassword' } };
+  }
+
+  if (user.failedLoginAttempts || user.lockUntil) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1, lockUntil: 1 } }
+    );
+  }
+  return null;
+};
+
+// Sessions and tokens
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshTokenExpiry = () => new Date(Date.now() + AUTH_CONFIG.refreshTokenDays * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, session) => jwt.sign(
+  { userId: user._id, username: user.username, sid: session._id },
+  JWT_SECRET,
+  { expiresIn: AUTH_CONFIG.accessTokenTtl }
+);
+
+// End one user's sessions (all devices, or all but one); their access tokens stop working at once
+const revokeUserSessions = async (userId, { except } = {}) => {
+  const query = { userId, revokedAt: null };
+  if (except) query._id = { $ne: except };
+  await Session.updateMany(query, { $set: { revokedAt: new Date() } });
+};
+
+// Token and user details returned by a successful login
+const loginResponse = async (user, req) => {
+  user.lastLogin = new Date();
+  await user.save();
+
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: refreshTokenExpiry()
+  });
+
+  return {
+    message: 'Login successful',
+    token: signAccessToken(user, session),
+    refreshToken,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      firstname: user.firstname,
+      lastname: user.lastname,
+      role: user.role
+    }
+  };
+};
+
+// Middleware to verify JWT token
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  // 401 tells the client to use its refresh token and try again
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
+    if (err) {
+      return res.status(401).json({
+        error: err.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid token'
+      });
+    }
+
+    try {
+      // Tokens are only good while their session is; logging out revokes it
+      const active = user.sid && await Session.exists({ _id: user.sid, revokedAt: null });
+      if (!active) {
+        return res.status(401).json({ error: 'Session has ended' });
+      }
+      req.user = user;
+      next();
+    } catch (error) {
+      console.error('Session check error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+};
+
+// Middleware to restrict a route to some roles; use after authenticateToken
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('role isActive');
+    if (!user || !user.isActive || !roles.includes(user.role)) {
+      return res.status(403).json({ error: roles.includes('tailor') ? 'Workshop access required' : 'Admin access required' });
+    }
+    req.user.role = user.role;
+    next();
+  } catch (error) {
+    console.error('Role check error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const requireAdmin = requireRole('admin');
+const requireWorkshop = requireRole('tailor', 'admin');
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors.array() 
+    });
+  }
+  next();
+};
+
+// Routes
+
+// User Registration
+app.post('/api/auth/register', validateRegistration, handleValidationErrors, async (req, res) => {
+  try {
+    // role is never accepted from the client
+    const { username, email, password, role, ...otherFields } = req.body;
+
+    const existingUser = await User.findOne({ 
+      $or: [{ username: username.toLowerCase() }, { email: email.toLowerCase() }] 
+    });
+    
+    if (existingUser) {
+      return res.status(400).json({ error: 'Username or email already exists' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    const user = new User({
+      username: username.toLowerCase(),
+      email: email.toLowerCase(),
+      password: hashedPassword,
+      ...otherFields,
+      emailVerified: false,
+      twoFactorEnabled: false
+    });
+
+    await user.save();
+    await sendOtp(user, 'verify-email');
+    
+    // Send welcome email (optional)
+    try {
+      await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: user.email,
+        subject: 'Welcome to Rudra Tailoring Shop!',
+        html: `
+          <h2>Welcome ${user.firstname}!</h2>
+          <p>Thank you for registering with Rudra Tailoring Shop. We're excited to help you with your custom clothing needs.</p>
+          <p>Start exploring our collection and place your first order today!</p>
+        `
+      });
+    } catch (emailError) {
+      console.log('Email sending failed:', emailError.message);
+    }
+
+    res.status(201).json({
+      message: 'User registered successfully. Enter the code we emailed you to verify your account.',
+      emailVerificationRequired: true,
+      email: user.email
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// User Login
+app.post('/api/auth/login', authLimiter, validateLogin, handleValidationErrors, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const user = await User.findOne({ 
+      username: username.toLowerCase(),
+      isActive: true 
+    });
+    
+    if (!user) {
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+      return res.status(400).json({ error: 'Invalid credentials' });
+    }
+
+    const throttle = loginThrottle(user);
+    if (throttle) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(throttle.status).json({ error: throttle.error, retryAfter: throttle.retryAfter });
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password);
+    if (!isValidPassword) {
+      const lockUntil = await recordFailedLogin(user);
+      if (lockUntil) {
+        return res.status(423).json({
+          error: `Too many failed logins. This account is locked for ${LOGIN_PROTECTION.lockMinutes} minutes; we've emailed the account owner.`
+        });
+      }
+      return res.status(400).json({ error: 'Invalid credentials' });
+    }
+
+    if (user.failedLoginAttempts || user.lockUntil) {
+      user.failedLoginAttempts = 0;
+      user.lastFailedLoginAt = undefined;
+      user.lockUntil = undefined;
+      await user.save();
+    }
+
+    if (user.emailVerified === false) {
+      return res.status(403).json({
+        error: 'Please verify your email address before logging in',
+        emailVerificationRequired: true,
+        email: user.email
+      });
+    }
+
+    // Two-step login: email a code and hand back a short-lived token to redeem it with
+    if (user.twoFactorEnabled) {
+      const result = await sendOtp(user, 'login');
+      if (result.error) {
+        return res.status(429).json({ error: result.error, retryAfter: result.retryAfter });
+      }
+      const otpToken = jwt.sign(
+        { userId: user._id, purpose: 'login-otp' },
+        JWT_SECRET,
+        { expiresIn: OTP_TTL_SECONDS }
+      );
+      return res.json({
+        message: 'We emailed you a login code',
+        otpRequired: true,
+        otpToken
+      });
+    }
+
+    res.json(await loginResponse(user, req));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Refresh Session - swap a refresh token for a new access token and refresh token
+app.post('/api/auth/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const tokenHash = hashToken(req.body.refreshToken);
+    const session = await Session.findOne({ tokenHash });
+
+    if (!session) {
+      // An already-rotated token: a concurrent refresh, or someone replaying a stolen token
+      const rotated = await Session.findOne({ previousTokenHash: tokenHash });
+      if (rotated && !rotated.revokedAt) {
+        const secondsSinceRotation = (Date.now() - rotated.rotatedAt.getTime()) / 1000;
+        if (secondsSinceRotation > AUTH_CONFIG.reuseGraceSeconds) {
+          rotated.revokedAt = new Date();
+          await rotated.save();
+          console.warn(`Refresh token reuse detected; session ${rotated._id} revoked`);
+        }
+      }
+      return res.status(401).json({ error: 'Session has ended. Please log in again' });
+    }
+
+    if (session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).json({ error: 'Session has ended. Please log in again' });
+    }
+
+    const user = await User.findOne({ _id: session.userId, isActive: true });
+    if (!user) {
+      return res.status(401).json({ error: 'Session has ended. Please log in again' });
+    }
+
+    const refreshToken = newRefreshToken();
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash, revokedAt: null },
+      {
+        $set: {
+          tokenHash: hashToken(refreshToken),
+          previousTokenHash: tokenHash,
+          rotatedAt: new Date(),
+          lastUsedAt: new Date(),
+          expiresAt: refreshTokenExpiry()
+        }
+      },
+      { new: true }
+    );
+    if (!rotated) {
+      return res.status(401).json({ error: 'Session has ended. Please log in again' });
+    }
+
+    res.json({ token: signAccessToken(user, rotated), refreshToken });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout - end this session, or every session with { allDevices: true }
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const { refreshToken, allDevices } = req.body;
+
+    // The access token may already be expired; it still says whose session this is
+    let tokenUser = null;
+    const authHeader = req.headers['authorization'];
+    const accessToken = authHeader && authHeader.split(' ')[1];
+    if (accessToken) {
+      try {
+        tokenUser = jwt.verify(accessToken, JWT_SECRET, { ignoreExpiration: true });
+      } catch (tokenError) {
+        tokenUser = null;
+      }
+    }
+
+    if (allDevices) {
+      // An expired access token alone is not enough: the refresh token, or the session
+      // the access token belongs to, must still be active
+      const activeSession = { revokedAt: null, expiresAt: { $gt: new Date() } };
+      let session = null;
+      if (refreshToken) {
+        session = await Session.findOne({ tokenHash: hashToken(String(refreshToken)), ...activeSession });
+      }
+      if (!session && tokenUser && mongoose.Types.ObjectId.isValid(tokenUser.sid)) {
+        session = await Session.findOne({ _id: tokenUser.sid, userId: tokenUser.userId, ...activeSession });
+      }
+      if (!session) {
+        return res.status(401).json({ error: 'Session has ended. Please log in again' });
+      }
+      await revokeUserSessions(session.userId);
+      return res.json({ message: 'Signed out of all devices' });
+    }
+
+    if (refreshToken) {
+      await Session.updateOne({ tokenHash: hashToken(refreshToken), revokedAt: null }, { $set: { revokedAt: new Date() } });
+    }
+    if (tokenUser && tokenUser.sid) {
+      await Session.updateOne({ _id: tokenUser.sid, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send One-time Code
+app.post('/api/auth/otp/send', otpLimiter, validateOtpSend, handleValidationErrors, async (req, res) => {
+  try {
+    const { email, purpose = 'verify-email' } = req.body;
+    // The same reply whether or not the account exists
+    const response = { message: 'If the account needs a code, we have emailed it' };
+
+    const user = await User.findOne({ email: email.toLowerCase(), isActive: true });
+    if (!user) {
+      return res.json(response);
+    }
+    if (purpose === 'verify-email' && user.emailVerified !== false) {
+      return res.json(response);
+    }
+    if (purpose === 'login' && !user.twoFactorEnabled) {
+      return res.json(response);
+    }
+
+    // Within the resend cooldown no new code is sent, but the reply stays the same
+    // so it does not reveal that the account exists
+    await sendOtp(user, purpose);
+    res.json(response);
+  } catch (error) {
+    console.error('Send OTP error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Verify One-time Code - verifies the email, or completes a two-step login
+app.post('/api/auth/otp/verify', otpLimiter, validateOtpVerify, handleValidationErrors, async (req, res) => {
+  try {
+    const { code, purpose = 'verify-email' } = req.body;
+
+    let user;
+    if (purpose === 'login') {
+      let payload;
+      try {
+        payload = jwt.verify(req.body.otpToken, JWT_SECRET);
+      } catch (tokenError) {
+        payload = null;
+      }
+      if (!payload || payload.purpose !== 'login-otp') {
+        return res.status(400).json({ error: 'Your login session has expired. Please log in again' });
+      }
+      user = await User.findOne({ _id: payload.userId, isActive: true });
+    } else {
+      user = await User.findOne({ email: req.body.email.toLowerCase(), isActive: true });
+    }
+
+    if (!user) {
+      return res.status(400).json({ error: 'This code has expired. Please request a new one' });
+    }
+
+    const result = await verifyOtp(user._id, purpose, code);
+    if (result.error) {
+      return res.status(400).json({ error: result.error, attemptsLeft: result.attemptsLeft });
+    }
+
+    if (purpose === 'login') {
+      return res.json(await loginResponse(user, req));
+    }
+
+    user.emailVerified = true;
+    user.updatedAt = new Date();
+    await user.save();
+    res.json({ message: 'Email verified successfully. You can now log in.' });
+  } catch (error) {
+    console.error('Verify OTP error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Store a new reset token (only the latest link works) and email the link
+const sendPasswordReset = async (user, resetToken, resetLink) => {
+  await PasswordReset.deleteMany({ userId: user._id });
+  await PasswordReset.create({ userId: user._id, tokenHash: hashToken(resetToken) });
+
+  try {
+    await transporter.sendMail({
+      from: process.env.EMAIL_USER,
+      to: user.email,
+      subject: 'Password Reset Request - Rudra Tailoring Shop',
+      html: `
+        <h2>Password Reset Request</h2>
+        <p>Hello ${user.firstname},</p>
+        <p>You requested a password reset for your account. Click the link below to reset your password:</p>
+        <a href="${resetLink}" style="background-color: #6a11cb; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Reset Password</a>
+        <p>This link will expire in 1 hour and can only be used once.</p>
+        <p>If you didn't request this, please ignore this email.</p>
+      `
+    });
+  } catch (emailError) {
+    console.log('Email sending failed:', emailError.message);
+  }
+};
+
+// Forgot Password - same response whether or not the account exists
+app.post('/api/auth/forgot-password', authLimiter, validateForgotPassword, handleValidationErrors, async (req, res) => {
+  try {
+    const { email } = req.body;
+    const user = await User.findOne({ email, isActive: true });
+
+    // Reply before any work for the account, so the response time doesn't reveal whether it exists
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const resetLink = `${APP_URL}/reset_password.html?token=${resetToken}`;
+    res.json({
+      message: 'If an account exists for this email, a password reset link has been sent',
+      resetLink: process.env.NODE_ENV === 'development' && user ? resetLink : undefined
+    });
+
+    if (user) {
+      sendPasswordReset(user, resetToken, resetLink)
+        .catch(error => console.error('Forgot password error:', error));
+    }
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reset Password
+app.post('/api/auth/reset-password', authLimiter, validateResetPassword, handleValidationErrors, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    const tokenHash = hashToken(token);
+
+    const resetRecord = await PasswordReset.findOne({ tokenHash });
+    const user = resetRecord && await User.findOne({ _id: resetRecord.userId, isActive: true });
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    if (passwordContainsPersonalInfo(newPassword, user)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ path: 'newPassword', msg: 'Password must not contain your username or email' }]
+      });
+    }
+
+    // Claim the token; a second request with the same link finds nothing
+    const claimed = await PasswordReset.findOneAndDelete({ _id: resetRecord._id, tokenHash });
+    if (!claimed) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+    // A new password also lifts any lockout
+    await User.updateOne({ _id: user._id }, {
+      password: hashedPassword,
+      failedLoginAttempts: 0,
+      $unset: { lockUntil: 1, lastFailedLoginAt: 1 },
+      updatedAt: new Date()
+    });
+    await PasswordReset.deleteMany({ userId: user._id });
+    // Sign out every device, including whoever may have had the old password
+    await revokeUserSessions(user._id);
+
+    try {
+      await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: user.email,
+        subject: 'Your password was changed - Rudra Tailoring Shop',
+        html: `
+          <h2>Your Password Was Changed</h2>
+          <p>Hello ${user.firstname},</p>
+          <p>The password for your account (${user.username}) was reset on ${new Date().toLocaleString('en-IN')}.</p>
+          <p>All devices have been signed out. Please log in again with your new password.</p>
+          <p>If you didn't do this, reset your password straight away and contact us.</p>
+        `
+      });
+    } catch (emailError) {
+      console.log('Password changed email failed:', emailError.message);
+    }
+
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Product search
+const PRODUCT_SORTS = {
+  relevance: null, // Text score; only with a search term
+  newest: { createdAt: -1 },
+  price_asc: { price: 1 },
+  price_desc: { price: -1 },
+  rating: { rating: -1, reviewCount: -1 },
+  discount: { discount: -1 }
+};
+
+// Lower bounds of the price facet buckets; the last bucket is open-ended
+const PRICE_BUCKETS = [0, 250, 500, 1000, 2500];
+
+const escapeRegex = text => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const searchTokens = text => String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+
+// Edit distance (a swap of neighbouring letters counts as one edit), giving up once it is over max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Words used in the catalog, for spelling correction; rebuilt every few minutes
+const searchVocabulary = { terms: [], builtAt: 0 };
+const SEARCH_VOCABULARY_TTL = 5 * 60 * 1000;
+
+const getSearchVocabulary = async () => {
+  if (Date.now() - searchVocabulary.builtAt < SEARCH_VOCABULARY_TTL) {
+    return searchVocabulary.terms;
+  }
+  const products = await Product.find({ isActive: true }).select('name tags category subcategory').lean();
+  const terms = new Set();
+  products.forEach(product => {
+    [product.name, product.category, product.subcategory, ...(product.tags || [])]
+      .forEach(text => searchTokens(text || '').forEach(token => {
+        if (token.length >= 3) terms.add(token);
+      }));
+  });
+  searchVocabulary.terms = [...terms];
+  searchVocabulary.builtAt = Date.now();
+  return searchVocabulary.terms;
+};
+
+/**
+ * Replace misspelt words with the closest catalog word (1 edit for short words, 2 for longer).
+ * Returns the corrected text, or null when nothing needed changing.
+ */
+const correctSearchText = async text => {
+  const vocabulary = await getSearchVocabulary();
+  let changed = false;
+  const corrected = searchTokens(text).map(token => {
+    if (token.length < 3 || vocabulary.includes(token)) return token;
+    const maxEdits = token.length <= 4 ? 1 : 2;
+    let best = null;
+    let bestDistance = maxEdits + 1;
+    vocabulary.forEach(term => {
+      const distance = editDistance(token, term, maxEdits);
+      if (distance < bestDistance) {
+        best = term;
+        bestDistance = distance;
+      }
+    });
+    if (best) changed = true;
+    return best || token;
+  });
+  return changed ? corrected.join(' ') : null;
+};
+
+// Catalog filters from the query string; returns { query } or { error }
+const productFilterQuery = ({ category, subcategory, minPrice, maxPrice, inStock, tags }) => {
+  const query = { isActive: true };
+
+  if (category) query.category = String(category).toLowerCase();
+  if (subcategory) query.subcategory = String(subcategory).toLowerCase();
+  if (inStock === 'true') query.inStock = true;
+  if (minPrice || maxPrice) {
+    query.price = {};
+    if (minPrice) {
+      if (Number.isNaN(Number(minPrice))) return { error: 'minPrice must be a number' };
+      query.price.$gte = Number(minPrice);
+    }
+    if (maxPrice) {
+      if (Number.isNaN(Number(maxPrice))) return { error: 'maxPrice must be a number' };
+      query.price.$lte = Number(maxPrice);
+    }
+  }
+  if (tags) {
+    const list = String(tags).split(',').map(tag => tag.trim()).filter(Boolean);
+    // Tags are stored as typed, so match them case-insensitively
+    if (list.length > 0) query.tags = { $all: list.map(tag => new RegExp(`^${escapeRegex(tag)}$`, 'i')) };
+  }
+
+  return { query };
+};
+
+// Facet counts for the matching products
+const productFacets = async match => {
+  const [facets] = await Product.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        categories: [
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        subcategories: [
+          { $group: { _id: '$subcategory', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: { $toLower: '$tags' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 20 }
+        ],
+        prices: [
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: [...PRICE_BUCKETS, Number.MAX_SAFE_INTEGER],
+              default: 'other',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        stock: [
+          { $group: { _id: '$inStock', count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  const named = rows => rows.map(row => ({ value: row._id, count: row.count }));
+  const inStock = facets.stock.find(row => row._id === true);
+  return {
+    categories: named(facets.categories),
+    subcategories: named(facets.subcategories),
+    tags: named(facets.tags),
+    prices: facets.prices
+      .filter(row => row._id !== 'other')
+      .map(row => {
+        const index = PRICE_BUCKETS.indexOf(row._id);
+        return { min: row._id, max: index < PRICE_BUCKETS.length - 1 ? PRICE_BUCKETS[index + 1] : null, count: row.count };
+      }),
+    inStock: inStock ? inStock.count : 0,
+    outOfStock: facets.stock.filter(row => row._id !== true).reduce((total, row) => total + row.count, 0)
+  };
+};
+
+// A page or page size from the query string as a whole number of at least 1, so skip()
+// and limit() never see NaN, fractions or negatives
+const queryPageNumber = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Math.floor(Number(value));
+  return Number.isFinite(number) ? Math.max(number, 1) : fallback;
+};
+
+// Get Products - filters, full-text search with spelling correction, facets and sorting
+app.get('/api/products', async (req, res) => {
+  try {
+    const { search } = req.query;
+    const page = queryPageNumber(req.query.page, 1);
+    const limit = Math.min(queryPageNumber(req.query.limit, 12), 50);
+    const sort = req.query.sort || (search ? 'relevance' : 'newest');
+
+    if (!Object.keys(PRODUCT_SORTS).includes(sort)) {
+      return res.status(400).json({ error: `Sort must be one of ${Object.keys(PRODUCT_SORTS).join(', ')}` });
+    }
+
+    const { query, error } = productFilterQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Nothing found for the words as typed: try again with the closest catalog words
+    let searchText = search ? String(search).trim().slice(0, 100) : '';
+    let correctedQuery;
+    if (searchText && !(await Product.exists({ ...query, $text: { $search: searchText } }))) {
+      const corrected = await correctSearchText(searchText);
+      if (corrected) {
+        searchText = corrected;
+        correctedQuery = corrected;
+      }
+    }
+
+    const match = searchText ? { ...query, $text: { $search: searchText } } : query;
+    const projection = searchText ? { score: { $meta: 'textScore' } } : {};
+    const sortSpec = sort === 'relevance'
+      ? (searchText ? { score: { $meta: 'textScore' } } : PRODUCT_SORTS.newest)
+      : { ...PRODUCT_SORTS[sort], _id: -1 };
+
+    const skip = (page - 1) * limit;
+    const products = await Product.find(match, projection)
+      .select('-reviews')
+      .sort(sortSpec)
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Product.countDocuments(match);
+
+    res.json({
+      products,
+      correctedQuery,
+      facets: await productFacets(match),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get products error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Search Suggestions - products and categories as the customer types
+app.get('/api/products/suggest', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim().slice(0, 50);
+    if (q.length < 2) {
+      return res.json({ query: q, products: [], categories: [] });
+    }
+
+    const findSuggestions = async text => {
+      // Match the start of any word, so "sil" finds "Camel silk blend"
+      const pattern = new RegExp(`(^|\\s)${escapeRegex(text)}`, 'i');
+      const products = await Product.find({ isActive: true, name: pattern })
+        .select('name category subcategory price discount image')
+        .sort({ rating: -1, name: 1 })
+        .limit(8);
+      const categories = await Product.distinct('category', { isActive: true, category: pattern });
+      return { products, categories: categories.slice(0, 5) };
+    };
+
+    let suggestions = await findSuggestions(q);
+    let correctedQuery;
+    if (suggestions.products.length === 0 && suggestions.categories.length === 0) {
+      const corrected = await correctSearchText(q);
+      if (corrected) {
+        correctedQuery = corrected;
+        suggestions = await findSuggestions(corrected);
+      }
+    }
+
+    res.json({ query: q, correctedQuery, ...suggestions });
+  } catch (error) {
+    console.error('Product suggestions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reviews
+// Public view of a review: reviewer's name only, no moderation details
+const publicReview = review => ({
+  _id: review._id,
+  user: review.user && review.user.firstname
+    ? { _id: review.user._id, firstname: review.user.firstname, lastname: review.user.lastname }
+    : review.user,
+  rating: review.rating,
+  title: review.title,
+  comment: review.comment,
+  verifiedPurchase: Boolean(review.verifiedPurchase),
+  date: review.date,
+  updatedAt: review.updatedAt
+});
+
+const reviewSorters = {
+  newest: (a, b) => b.date - a.date,
+  oldest: (a, b) => a.date - b.date,
+  highest: (a, b) => b.rating - a.rating || b.date - a.date,
+  lowest: (a, b) => a.rating - b.rating || b.date - a.date
+};
+
+// Recompute the average rating and count from the visible reviews
+const recomputeProductRating = async productId => {
+  const product = await Product.findById(productId).select('reviews');
+  if (!product) return null;
+
+  const visible = product.reviews.filter(review => !review.isHidden);
+  const reviewCount = visible.length;
+  const rating = reviewCount > 0
+    ? Math.round(visible.reduce((total, review) => total + review.rating, 0) / reviewCount * 10) / 10
+    : 0;
+
+  await Product.updateOne({ _id: productId }, { $set: { rating, reviewCount } });
+  return { rating, reviewCount };
+};
+
+// Get Single Product
+app.get('/api/products/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const product = await Product.findById(req.params.id).populate('reviews.user', 'firstname lastname');
+    if (!product || !product.isActive) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const result = product.toObject();
+    result.reviews = product.reviews
+      .filter(review => !review.isHidden)
+      .sort(reviewSorters.newest)
+      .map(publicReview);
+    res.json(result);
+  } catch (error) {
+    console.error('Get product error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get Product Reviews
+app.get('/api/products/:id/reviews', async (req, res) => {
+  try {
+    const { sort = 'newest', rating, page = 1, limit = 10 } = req.query;
+    if (!REVIEW_SORTS.includes(sort)) {
+      return res.status(400).json({ error: `Sort must be one of ${REVIEW_SORTS.join(', ')}` });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const product = await Product.findById(req.params.id)
+      .select('isActive rating reviewCount reviews')
+      .populate('reviews.user', 'firstname lastname');
+    if (!product || !product.isActive) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const visible = product.reviews.filter(review => !review.isHidden);
+    const breakdown = [5, 4, 3, 2, 1].reduce((counts, stars) => {
+      counts[stars] = visible.filter(review => review.rating === stars).length;
+      return counts;
+    }, {});
+
+    const matching = rating ? visible.filter(review => review.rating === Number(rating)) : visible;
+    matching.sort(reviewSorters[sort]);
+
+    const skip = (page - 1) * limit;
+    const reviews = matching.slice(skip, skip + Number(limit)).map(publicReview);
+
+    res.json({
+      rating: product.rating,
+      reviewCount: product.reviewCount,
+      breakdown,
+      reviews,
+      pagination: {
+        current: Number(page),
+        pages: Math.ceil(matching.length / limit),
+        total: matching.length
+      }
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add or Edit My Review - only after a delivered order containing the product
+app.post('/api/products/:id/reviews', authenticateToken, validateReview, handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { rating, title, comment } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const product = await Product.findById(req.params.id).select('isActive');
+    if (!product || !product.isActive) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const order = await Order.findOne({ userId, status: 'Delivered', 'products.productId': product._id })
+      .select('_id')
+      .sort({ deliveredAt: -1 });
+    if (!order) {
+      return res.status(403).json({ error: 'You can review this product once an order containing it has been delivered' });
+    }
+
+    const now = new Date();
+    const fields = { rating: Number(rating), title, comment };
+
+    // One review per user: the $ne guard stops two requests from both adding one
+    const added = await Product.updateOne(
+      { _id: product._id, 'reviews.user': { $ne: userId } },
+      { $push: { reviews: { user: userId, ...fields, verifiedPurchase: true, orderId: order._id, date: now } } }
+    );
+
+    if (added.modifiedCount === 0) {
+      await Product.updateOne(
+        { _id: product._id, 'reviews.user': userId },
+        {
+          $set: {
+            'reviews.$.rating': fields.rating,
+            'reviews.$.title': title,
+            'reviews.$.comment': comment,
+            'reviews.$.verifiedPurchase': true,
+            'reviews.$.orderId': order._id,
+            'reviews.$.updatedAt': now
+          }
+        }
+      );
+    }
+
+    const summary = await recomputeProductRating(product._id);
+    // Find the review before populating: a user that no longer exists populates to null
+    const updated = await Product.findById(product._id).select('reviews');
+    const saved = updated && updated.reviews.find(r => r.user && r.user.equals(userId));
+    if (!saved) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    await updated.populate('reviews.user', 'firstname lastname');
+    const review = updated.reviews.id(saved._id);
+
+    res.status(added.modifiedCount ? 201 : 200).json({
+      message: added.modifiedCount ? 'Review added successfully' : 'Review updated successfully',
+      review: { ...publicReview(review), isHidden: review.isHidden },
+      ...summary
+    });
+  } catch (error) {
+    console.error('Add review error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete My Review
+app.delete('/api/products/:id/reviews/mine', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    // Hidden reviews stay, or deleting and posting again would get around moderation
+    const result = await Product.updateOne(
+      { _id: req.params.id },
+      { $pull: { reviews: { user: req.user.userId, isHidden: { $ne: true } } } }
+    );
+    if (result.modifiedCount === 0) {
+      const hidden = await Product.exists({
+        _id: req.params.id,
+        reviews: { $elemMatch: { user: req.user.userId, isHidden: true } }
+      });
+      if (hidden) {
+        return res.status(403).json({ error: 'This review was hidden by a moderator and cannot be deleted' });
+      }
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const summary = await recomputeProductRating(req.params.id);
+    res.json({ message: 'Review deleted successfully', ...summary });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add to Cart
+app.post('/api/cart/add', authenticateToken, async (req, res) => {
+  try {
+    const { productId, quantity = 1 } = req.body;
+    const userId = req.user.userId;
+
+    const product = await Product.findById(productId);
+    if (!product || !product.isActive) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const requested = await addProductToCart(userId, product, quantity);
+
+    // Stock is only reserved at order time, so just warn here
+    const { warning, available } = stockWarningFor(product, requested);
+
+    res.json({
+      message: 'Product added to cart successfully',
+      warning,
+      available,
+      cart: await buildCartView(userId)
+    });
+  } catch (error) {
+    console.error('Add to cart error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get Cart
+app.get('/api/cart', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    res.json(await buildCartView(userId));
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update Cart Item
+app.put('/api/cart/update', authenticateToken, async (req, res) => {
+  try {
+    const { productId } = req.body;
+    const quantity = Number(req.body.quantity);
+    const userId = req.user.userId;
+
+    if (!Number.isInteger(quantity)) {
+      return res.status(400).json({ error: 'Quantity must be a whole number' });
+    }
+
+    const cart = await Cart.findOne({ userId });
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    const productIndex = cart.products.findIndex(p => p.productId.toString() === productId);
+    if (productIndex === -1) {
+      return res.status(404).json({ error: 'Product not found in cart' });
+    }
+
+    let stock = {};
+    if (quantity <= 0) {
+      cart.products.splice(productIndex, 1);
+    } else {
+      cart.products[productIndex].quantity = quantity;
+      const product = await Product.findById(productId);
+      if (product) stock = stockWarningFor(product, quantity);
+    }
+
+    cart.updatedAt = new Date();
+    await cart.save();
+    res.json({
+      message: 'Cart updated successfully',
+      warning: stock.warning,
+      available: stock.available,
+      cart: await buildCartView(userId)
+    });
+  } catch (error) {
+    console.error('Update cart error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove from Cart
+app.delete('/api/cart/remove/:productId', authenticateToken, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const userId = req.user.userId;
+
+    const cart = await Cart.findOne({ userId });
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    cart.products = cart.products.filter(p => p.productId.toString() !== productId);
+    cart.updatedAt = new Date();
+    await cart.save();
+
+    res.json({ message: 'Product removed from cart successfully', cart: await buildCartView(userId) });
+  } catch (error) {
+    console.error('Remove from cart error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Apply Coupon - preview a coupon on the cart (or on the given products)
+app.post('/api/cart/apply-coupon', authenticateToken, [
+  body('code').trim().notEmpty().withMessage('Coupon code is required'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { code, products } = req.body;
+    let items = [];
+
+    if (Array.isArray(products) && products.length > 0) {
+      for (const item of products) {
+        const product = mongoose.Types.ObjectId.isValid(item.productId) ? await Product.findById(item.productId) : null;
+        if (!product || !product.isActive) {
+          return res.status(400).json({ error: `Product ${item.productId} not found` });
+        }
+        items.push({ product, quantity: Number(item.quantity) || 1 });
+      }
+    } else {
+      const cart = await Cart.findOne({ userId }).populate('products.productId');
+      items = cart
+        ? cart.products
+          .filter(item => item.productId && item.productId.isActive)
+          .map(item => ({ product: item.productId, quantity: item.quantity }))
+        : [];
+    }
+
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'Your cart is empty' });
+    }
+
+    const { coupon, error } = await findApplicableCoupon(code, userId, items);
+    if (error) {
+      return res.status(400).json({ error, field: 'code' });
+    }
+
+    // With a pincode, include its delivery surcharge so the quote matches the order
+    const { surcharge, error: pincodeError } = await quoteSurcharge(req.body.pincode);
+    if (pincodeError) {
+      return res.status(400).json({ error: pincodeError, field: 'pincode' });
+    }
+
+    const pricing = calculatePricing(items, { coupon, deliverySurcharge: surcharge });
+    res.json({
+      message: 'Coupon applied',
+      coupon: { code: coupon.code, description: coupon.description, type: coupon.type },
+      pricing: pricingSummary(pricing)
+    });
+  } catch (error) {
+    console.error('Apply coupon error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Wishlist
+// Price the customer would pay today, after the product discount
+const productSalePrice = product => roundMoney(product.price - product.price * (product.discount || 0) / 100);
+
+const productAvailable = product => Boolean(product.inStock) && product.stockQuantity > 0;
+
+// Populated wishlist, returned by every wishlist endpoint
+const buildWishlistView = async (userId) => {
+  const wishlist = await Wishlist.findOne({ userId }).populate('products.productId');
+  // Skip items whose product was removed from the catalog
+  const items = wishlist ? wishlist.products.filter(item => item.productId && item.productId.isActive) : [];
+
+  return {
+    _id: wishlist ? wishlist._id : undefined,
+    userId,
+    products: items.map(item => {
+      const salePrice = productSalePrice(item.productId);
+      return {
+        ...item.toObject(),
+        salePrice,
+        inStock: productAvailable(item.productId),
+        priceDrop: item.addedPrice !== undefined && salePrice < item.addedPrice
+          ? roundMoney(item.addedPrice - salePrice)
+          : 0
+      };
+    }),
+    updatedAt: wishlist ? wishlist.updatedAt : undefined
+  };
+};
+
+// Save a product to the wishlist; returns false if it was already there
+const addProductToWishlist = async (userId, product) => {
+  let wishlist = await Wishlist.findOne({ userId });
+  if (!wishlist) {
+    wishlist = new Wishlist({ userId, products: [] });
+  }
+  if (wishlist.products.some(item => item.productId.equals(product._id))) {
+    return false;
+  }
+
+  const salePrice = productSalePrice(product);
+  wishlist.products.push({
+    productId: product._id,
+    addedPrice: salePrice,
+    notifiedPrice: salePrice,
+    notifiedInStock: productAvailable(product)
+  });
+  wishlist.updatedAt = new Date();
+  await wishlist.save();
+  return true;
+};
+
+const removeProductFromWishlist = (userId, productId) => Wishlist.updateOne(
+  { userId },
+  { $pull: { products: { productId } }, $set: { updatedAt: new Date() } }
+);
+
+// Wishlists are checked this many at a time, so a full scan never loads them all at once
+const WISHLIST_ALERT_BATCH = 100;
+
+/**
+ * Email customers whose wishlisted products got cheaper or came back in stock
+ * since they last heard. Pass product ids to check only those. Never throws.
+ */
+const checkWishlistAlerts = async (productIds) => {
+  try {
+    const query = productIds ? { 'products.productId': { $in: productIds } } : {};
+    let lastId = null;
+    let wishlists;
+
+    do {
+      const page = lastId ? { ...query, _id: { $gt: lastId } } : query;
+      wishlists = await Wishlist.find(page)
+        .sort({ _id: 1 })
+        .limit(WISHLIST_ALERT_BATCH)
+        .populate('products.productId')
+        .populate('userId', 'firstname email isActive');
+
+      for (const wishlist of wishlists) {
+        await sendWishlistAlerts(wishlist);
+        lastId = wishlist._id;
+      }
+    } while (wishlists.length === WISHLIST_ALERT_BATCH);
+  } catch (error) {
+    console.error('Wishlist alerts error:', error);
+  }
+};
+
+const sendWishlistAlerts = async (wishlist) => {
+  const user = wishlist.userId;
+  const alerts = [];
+
+  for (const item of wishlist.products) {
+    const product = item.productId;
+    if (!product || !product.isActive) continue;
+
+    const salePrice = productSalePrice(product);
+    const inStock = productAvailable(product);
+    if (item.notifiedPrice === salePrice && item.notifiedInStock === inStock) continue;
+
+    const itemAlerts = [];
+    if (item.notifiedPrice !== undefined && salePrice < item.notifiedPrice) {
+      itemAlerts.push(`${product.name} is now ₹${salePrice} (was ₹${item.notifiedPrice})`);
+    }
+    if (item.notifiedInStock === false && inStock) {
+      itemAlerts.push(`${product.name} is back in stock`);
+    }
+
+    // Move the baseline either way, so a later drop is measured from today's price. The
+    // update only matches the baseline read above, so when runs overlap only one of
+    // them claims the change and sends its alert.
+    const fields = { 'products.$.notifiedPrice': salePrice, 'products.$.notifiedInStock': inStock };
+    if (itemAlerts.length > 0) fields['products.$.lastNotifiedAt'] = new Date();
+    const claimed = await Wishlist.updateOne(
+      {
+        _id: wishlist._id,
+        products: {
+          $elemMatch: {
+            _id: item._id,
+            notifiedPrice: item.notifiedPrice === undefined ? null : item.notifiedPrice,
+            notifiedInStock: item.notifiedInStock === undefined ? null : item.notifiedInStock
+          }
+        }
+      },
+      { $set: fields }
+    );
+    if (claimed.modifiedCount === 1) alerts.push(...itemAlerts);
+  }
+
+  if (alerts.length > 0 && user && user.isActive) {
+    try {
+      await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: user.email,
+        subject: 'Good news about your wishlist - Rudra Tailoring Shop',
+        html: `
+          <h2>Your Wishlist</h2>
+          <p>Hello ${user.firstname},</p>
+          <p>Some of the items you saved have changed:</p>
+          <ul>${alerts.map(alert => `<li>${alert}</li>`).join('')}</ul>
+          <p>Log in to move them to your cart before they sell out.</p>
+        `
+      });
+    } catch (emailError) {
+      console.log('Wishlist alert email failed:', emailError.message);
+    }
+  }
+};
+
+// Get Wishlist
+app.get('/api/wishlist', authenticateToken, async (req, res) => {
+  try {
+    res.json(await buildWishlistView(req.user.userId));
+  } catch (error) {
+    console.error('Get wishlist error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add to Wishlist
+app.post('/api/wishlist/add', authenticateToken, async (req, res) => {
+  try {
+    const { productId } = req.body;
+    const userId = req.user.userId;
+
+    const product = mongoose.Types.ObjectId.isValid(productId) ? await Product.findById(productId) : null;
+    if (!product || !product.isActive) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const added = await addProductToWishlist(userId, product);
+    res.json({
+      message: added ? 'Product added to wishlist' : 'Product is already in your wishlist',
+      wishlist: await buildWishlistView(userId)
+    });
+  } catch (error) {
+    console.error('Add to wishlist error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove from Wishlist
+app.delete('/api/wishlist/remove/:productId', authenticateToken, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(404).json({ error: 'Product not found in wishlist' });
+    }
+
+    const result = await removeProductFromWishlist(userId, productId);
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ error: 'Product not found in wishlist' });
+    }
+
+    res.json({ message: 'Product removed from wishlist', wishlist: await buildWishlistView(userId) });
+  } catch (error) {
+    console.error('Remove from wishlist error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Move from Wishlist to Cart
+app.post('/api/wishlist/move-to-cart', authenticateToken, async (req, res) => {
+  try {
+    const { productId } = req.body;
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+    const userId = req.user.userId;
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ error: 'Quantity must be a whole number of at least 1' });
+    }
+
+    const product = mongoose.Types.ObjectId.isValid(productId) ? await Product.findById(productId) : null;
+    if (!product || !product.isActive) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const requested = await addProductToCart(userId, product, quantity);
+    await removeProductFromWishlist(userId, product._id);
+    const { warning, available } = stockWarningFor(product, requested);
+
+    res.json({
+      message: 'Product moved to cart',
+      warning,
+      available,
+      cart: await buildCartView(userId),
+      wishlist: await buildWishlistView(userId)
+    });
+  } catch (error) {
+    console.error('Move to cart error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Save for Later - move a cart item to the wishlist
+app.post('/api/cart/save-for-later', authenticateToken, async (req, res) => {
+  try {
+    const { productId } = req.body;
+    const userId = req.user.userId;
+
+    const product = mongoose.Types.ObjectId.isValid(productId) ? await Product.findById(productId) : null;
+    const cart = await Cart.findOne({ userId });
+    if (!product || !cart || !cart.products.some(item => item.productId.equals(product._id))) {
+      return res.status(404).json({ error: 'Product not found in cart' });
+    }
+
+    await addProductToWishlist(userId, product);
+    cart.products = cart.products.filter(item => !item.productId.equals(product._id));
+    cart.updatedAt = new Date();
+    await cart.save();
+
+    res.json({
+      message: 'Saved for later',
+      cart: await buildCartView(userId),
+      wishlist: await buildWishlistView(userId)
+    });
+  } catch (error) {
+    console.error('Save for later error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Price Quote - totals for products before ordering
+app.post('/api/pricing/quote', authenticateToken, async (req, res) => {
+  try {
+    const { products } = req.body;
+    if (!Array.isArray(products) || products.length === 0) {
+      return res.status(400).json({ error: 'Provide at least one product' });
+    }
+
+    const items = [];
+    for (const item of products) {
+      const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({ error: `Invalid quantity for product ${item.productId}` });
+      }
+      const product = mongoose.Types.ObjectId.isValid(item.productId) ? await Product.findById(item.productId) : null;
+      if (!product || !product.isActive) {
+        return res.status(400).json({ error: `Product ${item.productId} not found` });
+      }
+      items.push({ product, quantity });
+    }
+
+    let coupon;
+    if (req.body.couponCode) {
+      const result = await findApplicableCoupon(req.body.couponCode, req.user.userId, items);
+      if (result.error) {
+        return res.status(400).json({ error: result.error, field: 'couponCode' });
+      }
+      coupon = result.coupon;
+    }
+
+    // With a pincode, include its delivery surcharge so the quote matches the order
+    const { surcharge, error: pincodeError } = await quoteSurcharge(req.body.pincode);
+    if (pincodeError) {
+      return res.status(400).json({ error: pincodeError, field: 'pincode' });
+    }
+
+    const pricing = calculatePricing(items, { coupon, deliverySurcharge: surcharge });
+    res.json({
+      lines: pricing.lines,
+      ...pricingSummary(pricing),
+      freeDeliveryThreshold: pricing.freeDeliveryThreshold
+    });
+  } catch (error) {
+    console.error('Price quote error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Check delivery to a pincode (public, used on product pages and checkout)
+app.get('/api/delivery/check', async (req, res) => {
+  try {
+    const pincode = String(req.query.pincode || '').trim();
+    if (!/^\d{6}$/.test(pincode)) {
+      return res.status(400).json({ error: 'Pincode must be 6 digits' });
+    }
+
+    const area = await findServiceableArea(pincode);
+    if (!area) {
+      return res.json({ pincode, serviceable: false, message: 'We do not deliver to this pincode yet' });
+    }
+
+    const tailored = String(req.query.tailored) === 'true';
+    const estimate = deliveryEstimate(area, { tailored });
+    res.json({
+      pincode,
+      serviceable: true,
+      city: area.city,
+      state: area.state,
+      zone: area.zone,
+      codAvailable: area.codAvailable,
+      surcharge: area.surcharge,
+      ...estimate,
+      message: `Delivery by ${estimate.estimatedDelivery.toDateString()}`
+    });
+  } catch (error) {
+    console.error('Delivery check error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create Order
+app.post('/api/orders', authenticateToken, async (req, res) => {
+  try {
+    const { products, deliveryAddress, addressId, paymentMethod, totalAmount, measurementProfileId, couponCode } = req.body;
+    const userId = req.user.userId;
+
+    if (ONLINE_PAYMENT_METHODS.includes(paymentMethod) && !paymentProvider) {
+      return res.status(503).json({ error: ONLINE_PAYMENTS_OFF_ERROR, field: 'paymentMethod' });
+    }
+    // The total the customer was shown is optional, but it must be a real number if sent
+    // (Number('abc') is NaN, and NaN slips past the comparison below)
+    if (totalAmount !== undefined && !(['number', 'string'].includes(typeof totalAmount) &&
+      String(totalAmount).trim() !== '' && Number.isFinite(Number(totalAmount)))) {
+      return res.status(400).json({ error: 'Total amount must be a number', field: 'totalAmount' });
+    }
+
+    // Validate products, then price them
+    const orderProducts = [];
+    const pricingItems = [];
+    const measurementErrors = [];
+    const measurementWarnings = [];
+
+    if (!Array.isArray(products) || products.length === 0) {
+      return res.status(400).json({ error: 'Order must contain at least one product' });
+    }
+
+    for (const [index, item] of products.entries()) {
+      const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({ error: `Invalid quantity for product ${item.productId}` });
+      }
+
+      const product = mongoose.Types.ObjectId.isValid(item.productId) ? await Product.findById(item.productId) : null;
+      if (!product || !product.isActive) {
+        return res.status(400).json({ error: `Product ${item.productId} not found` });
+      }
+      
+      pricingItems.push({ product, quantity });
+      
+      const orderItem = {
+        productId: product._id,
+        quantity,
+        price: product.price
+      };
+
+      // Snapshot a saved measurement profile into the order line
+      const profileId = item.measurementProfileId || measurementProfileId;
+      if (profileId) {
+        if (!mongoose.Types.ObjectId.isValid(profileId)) {
+          return res.status(400).json({ error: `Measurement profile ${profileId} not found` });
+        }
+        const profile = await MeasurementProfile.findOne({ _id: profileId, userId });
+        if (!profile) {
+          return res.status(400).json({ error: `Measurement profile ${profileId} not found` });
+        }
+        orderItem.measurements = profile.toObject().measurements;
+        orderItem.measurementUnit = profile.unit;
+        orderItem.measurementProfile = {
+          profileId: profile._id,
+          name: profile.name,
+          takenOn: profile.takenOn
+        };
+      } else if (item.measurements) {
+        orderItem.measurements = item.measurements;
+        orderItem.measurementUnit = MEASUREMENT_UNITS.includes(item.measurementUnit) ? item.measurementUnit : 'inches';
+      }
+
+      if (item.garmentType && !GARMENT_TYPES.includes(item.garmentType)) {
+        measurementErrors.push({ line: index, productId: item.productId, field: 'garmentType', message: 'Garment type must be shirt, pant or suit' });
+      } else if (orderItem.measurements || item.garmentType) {
+        const result = validateMeasurements(orderItem.measurements, {
+          unit: orderItem.measurementUnit || 'inches',
+          garmentType: item.garmentType
+        });
+        result.errors.forEach(e => measurementErrors.push({ line: index, productId: item.productId, ...e }));
+        result.warnings.forEach(w => measurementWarnings.push({ line: index, productId: item.productId, ...w }));
+        orderItem.measurements = result.measurements;
+        orderItem.garmentType = item.garmentType;
+      }
+
+      orderProducts.push(orderItem);
+    }
+
+    if (measurementErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid measurements',
+        details: measurementErrors,
+        warnings: measurementWarnings
+      });
+    }
+
+    // A saved address is copied into the order so later edits don't change it
+    let orderAddress = deliveryAddress;
+    if (addressId) {
+      const saved = mongoose.Types.ObjectId.isValid(addressId)
+        && await User.findOne({ _id: userId, 'addresses._id': addressId }, { 'addresses.$': 1 });
+      if (!saved) {
+        return res.status(400).json({ error: 'Saved address not found', field: 'addressId' });
+      }
+      orderAddress = addressSnapshot(saved.addresses[0]);
+    }
+    if (!orderAddress || !orderAddress.name || !orderAddress.phone || !orderAddress.pincode || !orderAddress.address) {
+      return res.status(400).json({ error: 'Delivery address is required', field: 'deliveryAddress' });
+    }
+
+    const deliveryArea = await findServiceableArea(orderAddress.pincode);
+    if (!deliveryArea) {
+      return res.status(400).json({ error: 'We do not deliver to this pincode yet', field: 'pincode' });
+    }
+    if (paymentMethod === 'Cash on Delivery' && !deliveryArea.codAvailable) {
+      return res.status(400).json({ error: 'Cash on Delivery is not available for this pincode', field: 'paymentMethod' });
+    }
+
+    let coupon;
+    if (couponCode) {
+      const result = await findApplicableCoupon(couponCode, userId, pricingItems);
+      if (result.error) {
+        return res.status(400).json({ error: result.error, field: 'couponCode' });
+      }
+      coupon = result.coupon;
+    }
+
+    // GST depends on the delivery state; fall back to the state on the account
+    let deliveryState = orderAddress.state;
+    if (!deliveryState) {
+      const customer = await User.findById(userId).select('state');
+      deliveryState = customer && customer.state;
+    }
+
+    const pricing = calculatePricing(pricingItems, { coupon, deliveryState, deliverySurcharge: deliveryArea.surcharge });
+    orderProducts.forEach((orderItem, index) => {
+      orderItem.pricing = orderLinePricing(pricing.lines[index]);
+    });
+
+    // Refuse if the customer was shown a different total than we would charge
+    if (totalAmount !== undefined && Math.abs(Number(totalAmount) - pricing.total) > 0.01) {
+      return res.status(400).json({
+        error: 'Order total has changed',
+        pricing: pricingSummary(pricing)
+      });
+    }
+
+    // Reserve stock for every line before the order exists
+    const stockLines = stockLinesFor(orderProducts);
+    const { shortages } = await reserveStock(stockLines);
+    if (shortages.length > 0) {
+      return res.status(400).json({ error: 'Insufficient stock', details: shortages });
+    }
+
+    // Claim the coupon use now; limits are re-checked atomically
+    const orderId = new mongoose.Types.ObjectId();
+    if (coupon && !(await redeemCoupon(coupon, userId, orderId))) {
+      await releaseStock(stockLines);
+      return res.status(400).json({ error: 'This coupon is no longer available', field: 'couponCode' });
+    }
+
+    const order = new Order({
+      _id: orderId,
+      userId,
+      products: orderProducts,
+      deliveryAddress: { ...orderAddress, state: deliveryState },
+      paymentMethod,
+      totalAmount: pricing.total,
+      pricing: pricingSummary(pricing),
+      deliveryCharge: pricing.deliveryCharge,
+      discount: pricing.couponDiscount,
+      couponCode: coupon ? coupon.code : undefined,
+      stockReserved: true,
+      estimatedDelivery: deliveryEstimate(deliveryArea, {
+        tailored: orderProducts.some(hasMeasurements)
+      }).estimatedDelivery
+    });
+
+    try {
+      await order.save();
+    } catch (saveError) {
+      await releaseStock(stockLines);
+      if (coupon) await releaseCoupon(coupon.code, orderId);
+      throw saveError;
+    }
+
+    // Clear cart after successful order
+    await Cart.findOneAndUpdate({ userId }, { products: [], updatedAt: new Date() });
+
+    // Online orders stay Placed until the gateway reports the payment
+    let payment;
+    if (ONLINE_PAYMENT_METHODS.includes(order.paymentMethod)) {
+      try {
+        payment = await startPayment(order);
+      } catch (paymentError) {
+        console.error('Create payment intent error:', paymentError);
+      }
+    }
+
+    // Send order confirmation email
+    try {
+      const user = await User.findById(userId);
+      await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: user.email,
+        subject: `Order Confirmation - ${order.orderNumber}`,
+        html: `
+          <h2>Order Confirmation</h2>
+          <p>Dear ${user.firstname},</p>
+          <p>Thank you for your order! Your order <strong>${order.orderNumber}</strong> has been placed successfully.</p>
+          <p><strong>Order Details:</strong></p>
+          <ul>
+            ${pricing.lines.map(line => `<li>${line.quantity}x ${line.name} (₹${line.unitPrice} each${line.discountPercent ? `, ${line.discountPercent}% off` : ''}): ₹${line.lineTotal}</li>`).join('')}
+          </ul>
+          <p>Subtotal: ₹${pricing.subtotal}</p>
+          ${pricing.productDiscount ? `<p>Discount: -₹${pricing.productDiscount}</p>` : ''}
+          ${pricing.couponDiscount ? `<p>Coupon ${pricing.couponCode}: -₹${pricing.couponDiscount}</p>` : ''}
+          <p>Delivery: ${pricing.freeDelivery ? 'Free' : `₹${pricing.deliveryCharge}`}</p>
+          ${pricing.deliverySurcharge ? `<p>Delivery surcharge: ₹${pricing.deliverySurcharge}</p>` : ''}
+          ${pricing.igst ? `<p>IGST: ₹${pricing.igst}</p>` : ''}
+          ${pricing.cgst ? `<p>CGST: ₹${pricing.cgst}</p><p>SGST: ₹${pricing.sgst}</p>` : ''}
+          <p><strong>Total Amount:</strong> ₹${pricing.total}</p>
+          <p><strong>Estimated Delivery:</strong> ${order.estimatedDelivery.toDateString()}</p>
+          <p>We'll keep you updated on your order status.</p>
+        `
+      });
+    } catch (emailError) {
+      console.log('Order confirmation email failed:', emailError.message);
+    }
+
+    res.status(201).json({ 
+      message: 'Order placed successfully', 
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      measurementWarnings,
+      payment,
+      paymentError: ONLINE_PAYMENT_METHODS.includes(order.paymentMethod) && !payment
+        ? 'We could not start the payment. You can retry from your orders.'
+        : undefined
+    });
+  } catch (error) {
+    console.error('Create order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get User Orders
+app.get('/api/orders', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { page = 1, limit = 10 } = req.query;
+    
+    const skip = (page - 1) * limit;
+    const orders = await Order.find({ userId })
+      .populate('products.productId')
+      .sort({ orderDate: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const total = await Order.countDocuments({ userId });
+
+    res.json({
+      orders,
+      pagination: {
+        current: Number(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get Single Order
+app.get('/api/orders/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const order = await Order.findOne({ _id: req.params.id, userId }).populate('products.productId');
+    
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json(order);
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download Invoice - HTML by default (print to save as PDF), or ?format=json
+app.get('/api/orders/:id/invoice', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, userId: req.user.userId })
+      .populate('products.productId', 'name');
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (order.status === 'Cancelled') {
+      return res.status(400).json({ error: 'Cancelled orders do not have an invoice' });
+    }
+
+    const invoice = await issueInvoice(order);
+
+    if (req.query.format === 'json') {
+      return res.json({
+        invoiceNumber: invoice.number,
+        issuedAt: invoice.issuedAt,
+        seller: {
+          name: SHOP_DETAILS.name,
+          address: SHOP_DETAILS.address,
+          state: SHOP_DETAILS.state,
+          gstin: SHOP_DETAILS.gstin
+        },
+        orderNumber: order.orderNumber,
+        orderDate: order.orderDate,
+        deliveryAddress: order.deliveryAddress,
+        lines: order.products.map(line => ({
+          name: line.productId ? line.productId.name : undefined,
+          quantity: line.quantity,
+          ...(line.toObject().pricing || {})
+        })),
+        pricing: order.pricing,
+        total: order.totalAmount
+      });
+    }
+
+    const fileName = `invoice-${invoice.number.replace(/[^A-Za-z0-9-]/g, '-')}.html`;
+    res.set('Content-Disposition', `inline; filename="${fileName}"`);
+    res.type('html').send(renderInvoiceHtml(order, invoice));
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Retry Payment - start a new gateway payment for an unpaid online order
+app.post('/api/orders/:id/pay', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, userId: req.user.userId });
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!ONLINE_PAYMENT_METHODS.includes(order.paymentMethod)) {
+      return res.status(400).json({ error: 'This order is paid on delivery' });
+    }
+    if (order.status !== 'Placed' || !['Pending', 'Failed'].includes(order.paymentStatus)) {
+      return res.status(400).json({ error: 'This order does not need a payment' });
+    }
+    if (!paymentProvider) {
+      return res.status(503).json({ error: ONLINE_PAYMENTS_OFF_ERROR });
+    }
+
+    const payment = await startPayment(order);
+    res.json({ message: 'Payment started', payment });
+  } catch (error) {
+    console.error('Retry payment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancel Order (customer)
+app.post('/api/orders/:id/cancel', authenticateToken, validateCancellation, handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { reason, comment } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, userId });
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const cancelError = customerCancelError(order);
+    if (cancelError) {
+      return res.status(400).json({ error: cancelError });
+    }
+
+    const transitionError = await transitionOrderStatus(order, 'Cancelled', {
+      changedBy: userId,
+      note: comment ? `${reason}: ${comment}` : reason
+    });
+    if (transitionError) {
+      return res.status(400).json({ error: transitionError });
+    }
+
+    order.cancellation = { reason, comment, cancelledBy: userId, cancelledAt: new Date() };
+    await order.save();
+
+    // Send cancellation email
+    try {
+      const user = await User.findById(userId);
+      await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: user.email,
+        subject: `Order Cancelled - ${order.orderNumber}`,
+        html: `
+          <h2>Order Cancelled</h2>
+          <p>Dear ${user.firstname},</p>
+          <p>Your order <strong>${order.orderNumber}</strong> has been cancelled.</p>
+          <p><strong>Reason:</strong> ${reason}</p>
+          ${order.refund && order.refund.amount
+            ? `<p>A refund of <strong>₹${order.refund.amount}</strong> has been initiated to your original payment method.</p>`
+            : ''}
+          <p>We hope to serve you again soon.</p>
+        `
+      });
+    } catch (emailError) {
+      console.log('Cancellation email failed:', emailError.message);
+    }
+
+    res.json({ message: 'Order cancelled successfully', order });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create Return / Alteration Request
+app.post('/api/returns', authenticateToken, validateReturnRequest, handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { orderId, lineId, type, reason, details, photos = [], correctedMeasurements, measurementUnit } = req.body;
+
+    const order = await Order.findOne({ _id: orderId, userId });
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const line = order.products.id(lineId);
+    if (!line) {
+      return res.status(404).json({ error: 'Order item not found' });
+    }
+
+    if (order.status !== 'Delivered' || !order.deliveredAt) {
+      return res.status(400).json({ error: 'Requests can only be made for delivered orders' });
+    }
+
+    const windowDays = RETURN_WINDOW_DAYS[type];
+    const windowEnds = new Date(order.deliveredAt.getTime() + windowDays * 24 * 60 * 60 * 1000);
+    if (new Date() > windowEnds) {
+      return res.status(400).json({ error: `The ${type} window of ${windowDays} days after delivery has closed` });
+    }
+
+    const openRequest = await ReturnRequest.findOne({
+      lineId,
+      status: { $nin: ['Completed', 'Rejected'] }
+    });
+    if (openRequest) {
+      return res.status(400).json({ error: 'There is already an open request for this item' });
+    }
+
+    let measurements;
+    const unit = measurementUnit || line.measurementUnit || 'inches';
+    if (correctedMeasurements) {
+      const result = validateMeasurements(correctedMeasurements, { unit });
+      if (result.errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid measurements', details: result.errors, warnings: result.warnings });
+      }
+      measurements = result.measurements;
+    }
+
+    if (type === 'alteration' && !details && !(measurements && Object.keys(measurements).length > 0)) {
+      return res.status(400).json({ error: 'Describe the alteration or provide corrected measurements' });
+    }
+
+    const returnRequest = new ReturnRequest({
+      userId,
+      orderId,
+      lineId,
+      productId: line.productId,
+      type,
+      reason,
+      details,
+      photos,
+      correctedMeasurements: measurements,
+      measurementUnit: measurements ? unit : undefined,
+      statusHistory: [{ status: 'Requested', changedBy: userId, changedAt: new Date() }]
+    });
+
+    await returnRequest.save();
+    res.status(201).json({ message: 'Request submitted successfully', returnRequest });
+  } catch (error) {
+    console.error('Create return request error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get User Return Requests
+app.get('/api/returns', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const returnRequests = await ReturnRequest.find({ userId })
+      .select('-photos')
+      .populate('productId', 'name image')
+      .populate('orderId', 'orderNumber')
+      .sort({ createdAt: -1 });
+
+    res.json(returnRequests);
+  } catch (error) {
+    console.error('Get return requests error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get Single Return Request
+app.get('/api/returns/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    const returnRequest = await ReturnRequest.findOne({ _id: req.params.id, userId })
+      .populate('productId', 'name image')
+      .populate('orderId', 'orderNumber');
+    if (!returnRequest) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    res.json(returnRequest);
+  } catch (error) {
+    console.error('Get return request error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin: List Return Requests
+app.get('/api/admin/returns', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { status, type, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    const skip = (page - 1) * limit;
+    const returnRequests = await ReturnRequest.find(query)
+      .populate('userId', 'firstname lastname email phone')
+      .populate('productId', 'name sku')
+      .populate('orderId', 'orderNumber deliveryAddress')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const total = await ReturnRequest.countDocuments(query);
+
+    res.json({
+      returnRequests,
+      pagination: {
+        current: Number(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Admin get return requests error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin: Update Return Request Status
+app.patch('/api/admin/returns/:id/status', authenticateToken, requireAdmin, validateReturnStatus, handleValidationErrors, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (!returnRequest) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    if (!RETURN_STATUS_TRANSITIONS[returnRequest.status].includes(status)) {
+      return res.status(400).json({
+        error: `Cannot change request status from ${returnRequest.status} to ${status}`,
+        allowed: RETURN_STATUS_TRANSITIONS[returnRequest.status]
+      });
+    }
+
+    returnRequest.status = status;
+    returnRequest.statusHistory.push({ status, changedBy: req.user.userId, changedAt: new Date(), note });
+    returnRequest.updatedAt = new Date();
+    await returnRequest.save();
+
+    res.json({ message: 'Request status updated successfully', returnRequest });
+  } catch (error) {
+    console.error('Update return request status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Payment Webhook - called by the payment gateway, authenticated by its signature
+app.post('/api/payments/webhook', async (req, res) => {
+  try {
+    const result = await processPaymentWebhook(req.rawBody, req.headers);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mock Payment - finish a mock payment as if the customer paid (development only)
+app.post('/api/payments/mock/:intentId/complete', authenticateToken, [
+  body('outcome').isIn(['succeeded', 'failed']).withMessage('Outcome must be succeeded or failed'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    if (!paymentProvider || paymentProvider.name !== 'mock') {
+      return res.status(404).json({ error: 'API endpoint not found' });
+    }
+
+    const order = await Order.findOne({ 'payment.intentId': req.params.intentId, userId: req.user.userId });
+    if (!order) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const { rawBody, headers } = mockPaymentProvider.buildWebhook(req.params.intentId, order.totalAmount, req.body.outcome);
+    const result = await processPaymentWebhook(rawBody, headers);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Mock payment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin: List Coupons
+app.get('/api/admin/coupons', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const coupons = await Coupon.find().select('-redemptions').sort({ createdAt: -1 });
+    res.json(coupons);
+  } catch (error) {
+    console.error('Admin get coupons error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin: Get Coupon (with redemptions)
+app.get('/api/admin/coupons/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('redemptions.userId', 'firstname lastname email')
+      .populate('redemptions.orderId', 'orderNumber status');
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    res.json(coupon);
+  } catch (error) {
+    console.error('Admin get coupon error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin: Create Coupon
+app.post('/api/admin/coupons', authenticateToken, requireAdmin, validateCoupon, handleValidationErrors, async (req, res) => {
+  try {
+    const fields = {};
+    COUPON_EDITABLE_FIELDS.forEach(key => {
+      if (req.body[key] !== undefined) fields[key] = req.body[key];
+    });
+
+    const coupon = new Coupon(fields);
+    await coupon.save();
+    res.status(201).json({ message: 'Coupon created successfully', coupon });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A coupon with this code already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Admin create coupon error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin: Update Coupon
+app.put('/api/admin/coupons/:id', authenticateToken, requireAdmin, validateCoupon, handleValidationErrors, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const updates = {};
+    COUPON_EDITABLE_FIELDS.forEach(key => {
+      if (req.body[key] !== undefined) updates[key] = req.body[key];
+    });
+    updates.updatedAt = new Date();
+
+    const coupon = await Coupon.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true })
+      .select('-redemptions');
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    res.json({ message: 'Coupon updated successfully', coupon });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A coupon with this code already exists' });
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Admin update coupon error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin: Delete Coupon (deactivated if it has been used, so order history stays intact)
+app.delete('/api/admin/coupons/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    if (coupon.usedCount > 0) {
+      coupon.isActive = false;
+      coupon.updatedAt = new Date();
+      await coupon.save();
+      return res.json({ message: 'Coupon has been used, so it was deactivated instead of deleted' });
+    }
+
+    await coupon.deleteOne();
+    res.json({ message: 'Coupon deleted successfully' });
+  } catch (error) {
+    console.error('Admin delete coupon error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin: List Orders
+app.get('/api/admin/orders', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (status) query.status = status;
+
+    const skip = (page - 1) * limit;
+    const orders = await Order.find(query)
+      .populate('userId', 'firstname lastname email phone')
+      .populate('products.productId', 'name sku image')
+      .sort({ orderDate: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const total = await Order.countDocuments(query);
+
+    res.json({
+      orders,
+      pagination: {
+        current: Number(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Admin get orders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin: Payment Audit Trail (filter by orderNumber, intentId, userId, type and dates)
+app.get('/api/admin/payments', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { orderNumber, intentId, userId, page = 1, limit = 50 } = req.query;
+    const { query, error } = transactionQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (orderNumber) query.orderNumber = orderNumber;
+    if (intentId) query.intentId = intentId;
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ error: 'Invalid user id' });
+      }
+      query.userId = userId;
+    }
+
+    const skip = (page - 1) * limit;
+    const payments = await Transaction.find(query)
+      .populate('userId', 'firstname lastname email phone')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const total = await Transaction.countDocuments(query);
+
+    res.json({
+      payments,
+      pagination: {
+        current: Number(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Admin get payments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin: Update Order Status
+app.patch('/api/admin/orders/:id/status', authenticateToken, requireAdmin, validateOrderStatus, handleValidationErrors, async (req, res) => {
+  try {
+    const { status, note, trackingNumber } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const transitionError = await transitionOrderStatus(order, status, {
+      changedBy: req.user.userId,
+      note,
+      trackingNumber
+    });
+    if (transitionError) {
+      return res.status(400).json({
+        error: transitionError,
+        allowed: ORDER_STATUS_TRANSITIONS[order.status]
+      });
+    }
+
+    await order.save();
+    res.json({ message: 'Order status updated successfully', order });
+  } catch (error) {
+    console.error('Update order status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Workshop: List Garments in Production
+app.get('/api/workshop/lines', authenticateToken, requireWorkshop, async (req, res) => {
+  try {
+    // Query values can be objects (?stage[$ne]=x), so only a known stage name reaches $match
+    const stage = req.query.stage ? String(req.query.stage) : undefined;
+    if (stage && !PRODUCTION_STAGES.includes(stage)) {
+      return res.status(400).json({ error: `Stage must be one of ${PRODUCTION_STAGES.join(', ')}` });
+    }
+    const lineMatch = { 'products.production.stage': stage || { $in: PRODUCTION_STAGES } };
+    // Tailors only see garments assigned to them
+    if (req.user.role === 'tailor') {
+      lineMatch['products.production.assignedTailor'] = new mongoose.Types.ObjectId(req.user.userId);
+    }
+
+    const lines = await Order.aggregate([
+      { $match: { status: { $ne: 'Cancelled' } } },
+      { $unwind: '$products' },
+      { $match: lineMatch },
+      { $sort: { 'products.production.dueDate': 1, orderDate: 1 } },
+      { $lookup: { from: 'products', localField: 'products.productId', foreignField: '_id', as: 'product' } },
+      { $project: {
+        orderId: '$_id',
+        orderNumber: 1,
+        orderStatus: '$status',
+        lineId: '$products._id',
+        quantity: '$products.quantity',
+        garmentType: '$products.garmentType',
+        measurements: '$products.measurements',
+        measurementUnit: '$products.measurementUnit',
+        production: '$products.production',
+        product: { $arrayElemAt: [{ $map: { input: '$product', as: 'p', in: { _id: '$$p._id', name: '$$p.name', sku: '$$p.sku' } } }, 0] }
+      } }
+    ]);
+
+    res.json(lines);
+  } catch (error) {
+    console.error('Get workshop lines error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Workshop: Update a Garment's Production Stage
+app.patch('/api/workshop/orders/:orderId/lines/:lineId', authenticateToken, requireWorkshop, validateProductionUpdate, handleValidationErrors, async (req, res) => {
+  try {
+    const { stage, note, notes, assignedTailor, dueDate } = req.body;
+    const isAdmin = req.user.role === 'admin';
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.orderId)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const line = order.products.id(req.params.lineId);
+    if (!line || !line.production || !line.production.stage) {
+      return res.status(404).json({ error: 'No custom-stitched item found for this order line' });
+    }
+    if (order.status === 'Cancelled') {
+      return res.status(400).json({ error: 'Order has been cancelled' });
+    }
+
+    const assignedTo = line.production.assignedTailor ? line.production.assignedTailor.toString() : null;
+    if (!isAdmin && assignedTo !== req.user.userId) {
+      return res.status(403).json({ error: 'This item is not assigned to you' });
+    }
+    if (!isAdmin && (assignedTailor !== undefined || dueDate !== undefined)) {
+      return res.status(403).json({ error: 'Only admins can assign tailors or set due dates' });
+    }
+
+    if (assignedTailor !== undefined) {
+      if (assignedTailor) {
+        const tailor = await User.findOne({ _id: assignedTailor, role: 'tailor', isActive: true });
+        if (!tailor) {
+          return res.status(400).json({ error: 'Tailor not found' });
+        }
+      }
+      line.production.assignedTailor = assignedTailor || undefined;
+    }
+    if (dueDate !== undefined) line.production.dueDate = dueDate || undefined;
+    if (notes !== undefined) line.production.notes = notes;
+
+    if (stage && stage !== line.production.stage) {
+      // Garments move one stage forward at a time
+      const current = PRODUCTION_STAGES.indexOf(line.production.stage);
+      if (PRODUCTION_STAGES.indexOf(stage) !== current + 1) {
+        return res.status(400).json({
+          error: `Cannot move from ${line.production.stage} to ${stage}`,
+          next: PRODUCTION_STAGES[current + 1] || null
+        });
+      }
+      line.production.stage = stage;
+      line.production.history.push({ stage, changedBy: req.user.userId, changedAt: new Date(), note });
+    }
+
+    order.updatedAt = new Date();
+    await order.save();
+    res.json({ message: 'Production updated successfully', line });
+  } catch (error) {
+    console.error('Update production stage error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get User Profile
+app.get('/api/user/profile', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const user = await User.findById(userId).select('-password');
+    res.json(user);
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update User Profile
+app.put('/api/user/profile', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const updates = req.body;
+    
+    // Remove sensitive fields
+    delete updates.password;
+    delete updates.username;
+    delete updates.email;
+    delete updates.role;
+    delete updates.emailVerified;
+    delete updates.twoFactorEnabled;
+    delete updates.addresses;
+    
+    updates.updatedAt = new Date();
+    
+    const user = await User.findByIdAndUpdate(userId, updates, { new: true }).select('-password');
+    res.json({ message: 'Profile updated successfully', user });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get Payment History
+app.get('/api/user/payments', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const { query, error } = transactionQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    query.userId = req.user.userId;
+
+    const skip = (page - 1) * limit;
+    const payments = await Transaction.find(query)
+      .select('-userId -eventId')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const total = await Transaction.countDocuments(query);
+
+    res.json({
+      payments,
+      pagination: {
+        current: Number(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Turn two-step login on or off; turning it off needs the current password
+app.put('/api/user/two-factor', authenticateToken, authLimiter, [
+  body('enabled').isBoolean().withMessage('Enabled must be true or false'),
+  body('currentPassword').optional().isString().withMessage('Current password must be text'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    // isBoolean() lets the string "false" through, and Boolean("false") is true
+    const enabled = req.body.enabled === true || req.body.enabled === 'true';
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (enabled && user.emailVerified === false) {
+      return res.status(400).json({ error: 'Verify your email address before turning on two-step login' });
+    }
+    if (!enabled && user.twoFactorEnabled) {
+      if (!req.body.currentPassword) {
+        return res.status(400).json({ error: 'Current password is required to turn off two-step login', field: 'currentPassword' });
+      }
+      const passwordError = await verifyCurrentPassword(user, req.body.currentPassword);
+      if (passwordError) {
+        if (passwordError.retryAfter) res.set('Retry-After', String(passwordError.retryAfter));
+        return res.status(passwordError.status).json(passwordError.body);
+      }
+    }
+
+    user.twoFactorEnabled = enabled;
+    user.updatedAt = new Date();
+    await user.save();
+    res.json({
+      message: user.twoFactorEnabled ? 'Two-step login turned on' : 'Two-step login turned off',
+      twoFactorEnabled: user.twoFactorEnabled
+    });
+  } catch (error) {
+    console.error('Update two-factor error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change Password
+app.post('/api/user/change-password', authenticateToken, authLimiter, validateChangePassword, handleValidationErrors, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const passwordError = await verifyCurrentPassword(user, currentPassword);
+    if (passwordError) {
+      if (passwordError.retryAfter) res.set('Retry-After', String(passwordError.retryAfter));
+      return res.status(passwordError.status).json(passwordError.body);
+    }
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ error: 'New password must be different from the current one', field: 'newPassword' });
+    }
+    if (passwordContainsPersonalInfo(newPassword, user)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ path: 'newPassword', msg: 'Password must not contain your username or email' }]
+      });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 12);
+    user.updatedAt = new Date();
+    await user.save();
+    // Keep this device signed in; every other one has to log in again
+    await revokeUserSessions(user._id, { except: req.user.sid });
+    await PasswordReset.deleteMany({ userId: user._id });
+
+    try {
+      await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: user.email,
+        subject: 'Your password was changed - Rudra Tailoring Shop',
+        html: `
+          <h2>Your Password Was Changed</h2>
+          <p>Hello ${user.firstname},</p>
+          <p>The password for your account (${user.username}) was changed on ${new Date().toLocaleString('en-IN')}.</p>
+          <p>Other devices have been signed out.</p>
+          <p>If you didn't do this, reset your password straight away and contact us.</p>
+        `
+      });
+    } catch (emailError) {
+      console.log('Password changed email failed:', emailError.message);
+    }
+
+    res.json({ message: 'Password changed successfully. Other devices have been signed out.' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Request an email change - the new address must confirm before it is used
+app.post('/api/user/change-email', authenticateToken, authLimiter, validateChangeEmail, handleValidationErrors, async (req, res) => {
+  try {
+    const { currentPassword, newEmail } = req.body;
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const passwordError = await verifyCurrentPassword(user, currentPassword);
+    if (passwordError) {
+      if (passwordError.retryAfter) res.set('Retry-After', String(passwordError.retryAfter));
+      return res.status(passwordError.status).json(passwordError.body);
+    }
+    if (newEmail === user.email) {
+      return res.status(400).json({ error: 'This is already your email address', field: 'newEmail' });
+    }
+    if (await User.exists({ email: newEmail })) {
+      return res.status(400).json({ error: 'This email is already registered', field: 'newEmail' });
+    }
+
+    // Only the latest request can be confirmed
+    await EmailChange.deleteMany({ userId: user._id });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await EmailChange.create({ userId: user._id, newEmail, tokenHash: hashToken(token) });
+
+    const confirmLink = `${APP_URL}/confirm-email.html?token=${token}`;
+
+    try {
+      await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: newEmail,
+        subject: 'Confirm your new email - Rudra Tailoring Shop',
+        html: `
+          <h2>Confirm Your New Email</h2>
+          <p>Hello ${user.firstname},</p>
+          <p>Click the link below to use this address for your account (${user.username}):</p>
+          <a href="${confirmLink}" style="background-color: #6a11cb; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Confirm Email</a>
+          <p>This link will expire in 1 hour.</p>
+          <p>If you didn't request this, please ignore this email.</p>
+        `
+      });
+    } catch (emailError) {
+      console.log('Email change confirmation failed:', emailError.message);
+    }
+
+    try {
+      await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: user.email,
+        subject: 'Email change requested - Rudra Tailoring Shop',
+        html: `
+          <h2>Email Change Requested</h2>
+          <p>Hello ${user.firstname},</p>
+          <p>Someone asked to change the email on your account (${user.username}) to ${newEmail}.</p>
+          <p>Nothing changes until the new address is confirmed.</p>
+          <p>If you didn't do this, change your password straight away and contact us.</p>
+        `
+      });
+    } catch (emailError) {
+      console.log('Email change notice failed:', emailError.message);
+    }
+
+    res.json({
+      message: `We have sent a confirmation link to ${newEmail}. Your email will change once you open it.`,
+      confirmLink: process.env.NODE_ENV === 'development' ? confirmLink : undefined
+    });
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Confirm an email change from the emailed link
+app.post('/api/auth/confirm-email-change', authLimiter, [
+  body('token').isString().trim().notEmpty().withMessage('Confirmation token is required'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const pending = await EmailChange.findOneAndDelete({ tokenHash: hashToken(req.body.token) });
+    if (!pending) {
+      return res.status(400).json({ error: 'Invalid or expired confirmation link' });
+    }
+
+    if (await User.exists({ email: pending.newEmail })) {
+      return res.status(400).json({ error: 'This email is already registered' });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: pending.userId, isActive: true },
+      { email: pending.newEmail, emailVerified: true, updatedAt: new Date() },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired confirmation link' });
+    }
+
+    res.json({ message: 'Your email address has been changed', email: user.email });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'This email is already registered' });
+    }
+    console.error('Confirm email change error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Validate Measurements (preview before ordering)
+app.post('/api/measurements/validate', authenticateToken, validateMeasurementCheck, handleValidationErrors, (req, res) => {
+  const { measurements, unit = 'inches', garmentType } = req.body;
+  const result = validateMeasurements(measurements, { unit, garmentType });
+
+  res.json({
+    valid: result.errors.length === 0,
+    measurements: result.measurements,
+    errors: result.errors,
+    warnings: result.warnings
+  });
+});
+
+// Get Measurement Profiles
+app.get('/api/user/measurements', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const profiles = await MeasurementProfile.find({ userId }).sort({ updatedAt: -1 });
+    res.json(profiles);
+  } catch (error) {
+    console.error('Get measurement profiles error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get Single Measurement Profile
+app.get('/api/user/measurements/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Measurement profile not found' });
+    }
+
+    const profile = await MeasurementProfile.findOne({ _id: req.params.id, userId });
+    if (!profile) {
+      return res.status(404).json({ error: 'Measurement profile not found' });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    console.error('Get measurement profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create Measurement Profile
+app.post('/api/user/measurements', authenticateToken, validateMeasurementProfile, handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { name, unit, takenOn, measurements } = req.body;
+
+    const existing = await MeasurementProfile.findOne({ userId, name: name.trim() });
+    if (existing) {
+      return res.status(400).json({ error: 'A measurement profile with this name already exists' });
+    }
+
+    const result = validateMeasurements(measurements, { unit: unit || 'inches' });
+    if (result.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid measurements', details: result.errors, warnings: result.warnings });
+    }
+
+    const profile = new MeasurementProfile({
+      userId,
+      name,
+      unit,
+      takenOn,
+      measurements: result.measurements
+    });
+
+    await profile.save();
+    res.status(201).json({ message: 'Measurement profile saved successfully', profile, warnings: result.warnings });
+  } catch (error) {
+    console.error('Create measurement profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update Measurement Profile
+app.put('/api/user/measurements/:id', authenticateToken, validateMeasurementProfile, handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { name, unit, takenOn, measurements } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Measurement profile not found' });
+    }
+
+    const profile = await MeasurementProfile.findOne({ _id: req.params.id, userId });
+    if (!profile) {
+      return res.status(404).json({ error: 'Measurement profile not found' });
+    }
+
+    const duplicate = await MeasurementProfile.findOne({ userId, name: name.trim(), _id: { $ne: profile._id } });
+    if (duplicate) {
+      return res.status(400).json({ error: 'A measurement profile with this name already exists' });
+    }
+
+    const targetUnit = unit || profile.unit;
+    let source = measurements;
+    if (!source) {
+      // Not resent: keep the stored values, tagged with their unit so a unit change converts them
+      const stored = profile.toObject().measurements || {};
+      source = {};
+      MEASUREMENT_FIELDS.forEach(field => {
+        if (stored[field]) source[field] = `${stored[field]} ${profile.unit}`;
+      });
+    }
+    const result = validateMeasurements(source, { unit: targetUnit });
+    if (result.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid measurements', details: result.errors, warnings: result.warnings });
+    }
+
+    profile.name = name;
+    profile.unit = targetUnit;
+    if (takenOn) profile.takenOn = takenOn;
+    profile.measurements = result.measurements;
+    profile.updatedAt = new Date();
+
+    await profile.save();
+    res.json({ message: 'Measurement profile updated successfully', profile, warnings: result.warnings });
+  } catch (error) {
+    console.error('Update measurement profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete Measurement Profile
+app.delete('/api/user/measurements/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Measurement profile not found' });
+    }
+
+    const profile = await MeasurementProfile.findOneAndDelete({ _id: req.params.id, userId });
+    if (!profile) {
+      return res.status(404).json({ error: 'Measurement profile not found' });
+    }
+
+    res.json({ message: 'Measurement profile deleted successfully' });
+  } catch (error) {
+    console.error('Delete measurement profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Address book, default address first
+const sortedAddresses = user => [...user.addresses]
+  .sort((a, b) => Number(b.isDefault) - Number(a.isDefault) || a.createdAt - b.createdAt);
+
+// Copy of a saved address for an order's deliveryAddress
+const addressSnapshot = address => ({
+  addressId: address._id,
+  label: address.label,
+  name: address.name,
+  phone: address.phone,
+  pincode: address.pincode,
+  address: address.address,
+  state: address.state
+});
+
+// Make one address the default, or keep a default when the old one goes away
+const ensureDefaultAddress = (user, preferred) => {
+  const target = preferred || user.addresses.find(a => a.isDefault) || user.addresses[0];
+  user.addresses.forEach(a => { a.isDefault = Boolean(target) && a._id.equals(target._id); });
+};
+
+const findAddress = (user, addressId) => (
+  mongoose.Types.ObjectId.isValid(addressId) ? user.addresses.id(addressId) : null
+);
+
+const labelTaken = (user, label, exceptId) => user.addresses.some(a =>
+  a.label.toLowerCase() === label.trim().toLowerCase() && !(exceptId && a._id.equals(exceptId))
+);
+
+// Get Saved Addresses
+app.get('/api/user/addresses', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('addresses');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(sortedAddresses(user));
+  } catch (error) {
+    console.error('Get addresses error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add Saved Address
+app.post('/api/user/addresses', authenticateToken, validateAddress, handleValidationErrors, async (req, res) => {
+  try {
+    const { label, name, phone, pincode, address, state, isDefault } = req.body;
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.addresses.length >= MAX_SAVED_ADDRESSES) {
+      return res.status(400).json({ error: `You can save up to ${MAX_SAVED_ADDRESSES} addresses` });
+    }
+    if (labelTaken(user, label)) {
+      return res.status(400).json({ error: 'An address with this label already exists', field: 'label' });
+    }
+
+    user.addresses.push({ label, name, phone, pincode, address, state });
+    const added = user.addresses[user.addresses.length - 1];
+    // The first address is always the default
+    ensureDefaultAddress(user, isDefault === true || isDefault === 'true' ? added : null);
+    user.updatedAt = new Date();
+    await user.save();
+
+    res.status(201).json({ message: 'Address saved successfully', address: added, addresses: sortedAddresses(user) });
+  } catch (error) {
+    console.error('Add address error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update Saved Address
+app.put('/api/user/addresses/:addressId', authenticateToken, validateAddress, handleValidationErrors, async (req, res) => {
+  try {
+    const { label, name, phone, pincode, address, state, isDefault } = req.body;
+    const user = await User.findById(req.user.userId);
+    const saved = user && findAddress(user, req.params.addressId);
+    if (!saved) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    if (labelTaken(user, label, saved._id)) {
+      return res.status(400).json({ error: 'An address with this label already exists', field: 'label' });
+    }
+
+    saved.set({ label, name, phone, pincode, address, state, updatedAt: new Date() });
+    if (isDefault === true || isDefault === 'true') {
+      ensureDefaultAddress(user, saved);
+    }
+    user.updatedAt = new Date();
+    await user.save();
+
+    res.json({ message: 'Address updated successfully', address: saved, addresses: sortedAddresses(user) });
+  } catch (error) {
+    console.error('Update address error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete Saved Address
+app.delete('/api/user/addresses/:addressId', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    const saved = user && findAddress(user, req.params.addressId);
+    if (!saved) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    saved.deleteOne();
+    // Deleting the default promotes the oldest remaining address
+    ensureDefaultAddress(user);
+    user.updatedAt = new Date();
+    await user.save();
+
+    res.json({ message: 'Address deleted successfully', addresses: sortedAddresses(user) });
+  } catch (error) {
+    console.error('Delete address error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get Categories
+app.get('/api/categories', async (req, res) => {
+  try {
+    const categories = await Product.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+    res.json(categories);
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin: List Products (including inactive)
+app.get('/api/admin/products', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { category, isActive, page = 1, limit = 50 } = req.query;
+    const query = {};
+
+    if (category) query.category = category.toLowerCase();
+    if (isActive === 'true' || isActive === 'false') query.isActive = isActive === 'true';
+
+    const skip = (page - 1) * limit;
     const products = await Product.find(query)
-      .sort({ createdAt: -1 })
+      .sort({ updatedAt: -1 })
       .skip(skip)
       .limit(Number(limit));
 
@@ -428,218 +5413,187 @@ app.get('/api/products', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Get products error:', error);
+    console.error('Admin get products error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get Single Product
-app.get('/api/products/:id', async (req, res) => {
+// Admin: Create Product
+app.post('/api/admin/products', authenticateToken, requireAdmin, validateProduct, handleValidationErrors, async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id).populate('reviews.user', 'firstname lastname');
-    if (!product || !product.isActive) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
-    res.json(product);
+    const product = new Product(syncStockFlag(pickProductFields(req.body)));
+    await product.save();
+    res.status(201).json({ message: 'Product created successfully', product });
   } catch (error) {
-    console.error('Get product error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A product with this SKU already exists' });
+    }
+    console.error('Admin create product error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Add to Cart
-app.post('/api/cart/add', authenticateToken, async (req, res) => {
+// Admin: Export Products
+app.get('/api/admin/products/export', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { productId, quantity = 1 } = req.body;
-    const userId = req.user.userId;
-
-    const product = await Product.findById(productId);
-    if (!product || !product.isActive) {
-      return res.status(404).json({ error: 'Product not found' });
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be csv or json' });
     }
 
-    let cart = await Cart.findOne({ userId });
-    if (!cart) {
-      cart = new Cart({ userId, products: [] });
-    }
+    const products = await Product.find().sort({ sku: 1, createdAt: 1 });
+    const rows = products.map(product => pickProductFields(product.toObject()));
+    const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
 
-    const existingProduct = cart.products.find(p => p.productId.toString() === productId);
-    if (existingProduct) {
-      existingProduct.quantity += quantity;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+      res.type('text/csv').send(productsToCsv(rows));
     } else {
-      cart.products.push({ productId, quantity });
+      res.json(rows);
     }
-
-    cart.updatedAt = new Date();
-    await cart.save();
-    res.json({ message: 'Product added to cart successfully' });
-  } catch (error) {
-    console.error('Add to cart error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Get Cart
-app.get('/api/cart', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.userId;
-    const cart = await Cart.findOne({ userId }).populate('products.productId');
-    res.json(cart || { products: [] });
   } catch (error) {
-    console.error('Get cart error:', error);
+    console.error('Admin export products error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update Cart Item
-app.put('/api/cart/update', authenticateToken, async (req, res) => {
+// Admin: Import Products (dry run unless dryRun=false)
+app.post('/api/admin/products/import', authenticateToken, requireAdmin, express.text({ type: 'text/csv', limit: '10mb' }), async (req, res) => {
   try {
-    const { productId, quantity } = req.body;
-    const userId = req.user.userId;
-
-    const cart = await Cart.findOne({ userId });
-    if (!cart) {
-      return res.status(404).json({ error: 'Cart not found' });
-    }
-
-    const productIndex = cart.products.findIndex(p => p.productId.toString() === productId);
-    if (productIndex === -1) {
-      return res.status(404).json({ error: 'Product not found in cart' });
-    }
+    const dryRunParam = req.query.dryRun !== undefined ? req.query.dryRun : req.body.dryRun;
+    const dryRun = String(dryRunParam) !== 'false';
+    let rows;
+    let firstRowNumber = 1;
 
-    if (quantity <= 0) {
-      cart.products.splice(productIndex, 1);
+    const csvText = typeof req.body === 'string' ? req.body : req.body.csv;
+    if (typeof csvText === 'string') {
+      const csv = csvToObjects(csvText);
+      if (!csv.columns.includes('sku')) {
+        return res.status(400).json({ error: 'CSV must have a header row with a sku column' });
+      }
+      rows = csv.rows;
+      firstRowNumber = 2; // Header is line 1
+    } else if (Array.isArray(req.body.products)) {
+      rows = req.body.products;
     } else {
-      cart.products[productIndex].quantity = quantity;
+      return res.status(400).json({ error: 'Send CSV text or a JSON body with a products array' });
     }
 
-    cart.updatedAt = new Date();
-    await cart.save();
-    res.json({ message: 'Cart updated successfully' });
+    const report = await importProductRows(rows, { dryRun, firstRowNumber });
+    if (!dryRun && report.summary.updated > 0) checkWishlistAlerts();
+    res.json(report);
   } catch (error) {
-    console.error('Update cart error:', error);
+    console.error('Admin import products error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Remove from Cart
-app.delete('/api/cart/remove/:productId', authenticateToken, async (req, res) => {
+// Admin: Get Reviews (newest first; hidden=true|false to filter)
+app.get('/api/admin/reviews', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { productId } = req.params;
-    const userId = req.user.userId;
+    const { hidden, productId, maxRating, page = 1, limit = 20 } = req.query;
+    const match = {};
+    if (hidden !== undefined) match['reviews.isHidden'] = String(hidden) === 'true' ? true : { $ne: true };
+    if (maxRating) match['reviews.rating'] = { $lte: Number(maxRating) };
 
-    const cart = await Cart.findOne({ userId });
-    if (!cart) {
-      return res.status(404).json({ error: 'Cart not found' });
+    const pipeline = [];
+    if (productId) {
+      if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return res.status(400).json({ error: 'Invalid product id' });
+      }
+      pipeline.push({ $match: { _id: new mongoose.Types.ObjectId(productId) } });
     }
+    pipeline.push(
+      { $unwind: '$reviews' },
+      { $match: match },
+      { $sort: { 'reviews.date': -1 } },
+      {
+        $facet: {
+          reviews: [
+            { $skip: (page - 1) * limit },
+            { $limit: Number(limit) },
+            { $project: { _id: 0, productId: '$_id', productName: '$name', review: '$reviews' } }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    );
 
-    cart.products = cart.products.filter(p => p.productId.toString() !== productId);
-    cart.updatedAt = new Date();
-    await cart.save();
+    const [result] = await Product.aggregate(pipeline);
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+    const reviews = await Product.populate(result.reviews, { path: 'review.user', model: User, select: 'firstname lastname email' });
 
-    res.json({ message: 'Product removed from cart successfully' });
+    res.json({
+      reviews,
+      pagination: {
+        current: Number(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
   } catch (error) {
-    console.error('Remove from cart error:', error);
+    console.error('Admin get reviews error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Create Order
-app.post('/api/orders', authenticateToken, async (req, res) => {
+// Admin: Hide or Restore a Review
+app.patch('/api/admin/products/:id/reviews/:reviewId', authenticateToken, requireAdmin, validateReviewModeration, handleValidationErrors, async (req, res) => {
   try {
-    const { products, deliveryAddress, paymentMethod, totalAmount } = req.body;
-    const userId = req.user.userId;
-
-    // Validate products and calculate total
-    let calculatedTotal = 0;
-    const orderProducts = [];
-
-    for (const item of products) {
-      const product = await Product.findById(item.productId);
-      if (!product || !product.isActive) {
-        return res.status(400).json({ error: `Product ${item.productId} not found` });
-      }
-      
-      const itemTotal = product.price * item.quantity;
-      calculatedTotal += itemTotal;
-      
-      orderProducts.push({
-        ...item,
-        price: product.price
-      });
+    const { id, reviewId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(reviewId)) {
+      return res.status(404).json({ error: 'Review not found' });
     }
 
-    // Add delivery charge
-    const deliveryCharge = 3;
-    calculatedTotal += deliveryCharge;
-
-    const order = new Order({
-      userId,
-      products: orderProducts,
-      deliveryAddress,
-      paymentMethod,
-      totalAmount: calculatedTotal,
-      deliveryCharge,
-      estimatedDelivery: new Date(Date.now() + 5 * 24 * 60 * 60 * 1000) // 5 days from now
-    });
-
-    await order.save();
-
-    // Clear cart after successful order
-    await Cart.findOneAndUpdate({ userId }, { products: [], updatedAt: new Date() });
+    const hidden = req.body.hidden === true || req.body.hidden === 'true';
+    const update = hidden
+      ? {
+        $set: {
+          'reviews.$.isHidden': true,
+          'reviews.$.hiddenReason': req.body.reason,
+          'reviews.$.hiddenBy': req.user.userId,
+          'reviews.$.hiddenAt': new Date()
+        }
+      }
+      : {
+        $set: { 'reviews.$.isHidden': false },
+        $unset: { 'reviews.$.hiddenReason': 1, 'reviews.$.hiddenBy': 1, 'reviews.$.hiddenAt': 1 }
+      };
 
-    // Send order confirmation email
-    try {
-      const user = await User.findById(userId);
-      await transporter.sendMail({
-        from: process.env.EMAIL_USER,
-        to: user.email,
-        subject: `Order Confirmation - ${order.orderNumber}`,
-        html: `
-          <h2>Order Confirmation</h2>
-          <p>Dear ${user.firstname},</p>
-          <p>Thank you for your order! Your order <strong>${order.orderNumber}</strong> has been placed successfully.</p>
-          <p><strong>Order Details:</strong></p>
-          <ul>
-            ${orderProducts.map(item => `<li>${item.quantity}x Product (₹${item.price} each)</li>`).join('')}
-          </ul>
-          <p><strong>Total Amount:</strong> ₹${calculatedTotal}</p>
-          <p><strong>Estimated Delivery:</strong> ${order.estimatedDelivery.toDateString()}</p>
-          <p>We'll keep you updated on your order status.</p>
-        `
-      });
-    } catch (emailError) {
-      console.log('Order confirmation email failed:', emailError.message);
+    const result = await Product.updateOne({ _id: id, 'reviews._id': reviewId }, update);
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'Review not found' });
     }
 
-    res.status(201).json({ 
-      message: 'Order placed successfully', 
-      orderId: order._id,
-      orderNumber: order.orderNumber
-    });
+    const summary = await recomputeProductRating(id);
+    res.json({ message: hidden ? 'Review hidden' : 'Review restored', ...summary });
   } catch (error) {
-    console.error('Create order error:', error);
+    console.error('Admin moderate review error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get User Orders
-app.get('/api/orders', authenticateToken, async (req, res) => {
+// Admin: Get Serviceable Pincodes
+app.get('/api/admin/pincodes', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const { page = 1, limit = 10 } = req.query;
-    
+    const { zone, search, page = 1, limit = 50 } = req.query;
+    const query = {};
+    if (zone) query.zone = zone;
+    if (search) query.pincode = { $regex: `^${String(search).replace(/\D/g, '')}` };
+
     const skip = (page - 1) * limit;
-    const orders = await Order.find({ userId })
-      .populate('products.productId')
-      .sort({ orderDate: -1 })
+    const pincodes = await ServiceablePincode.find(query)
+      .sort({ pincode: 1 })
       .skip(skip)
       .limit(Number(limit));
 
-    const total = await Order.countDocuments({ userId });
+    const total = await ServiceablePincode.countDocuments(query);
 
     res.json({
-      orders,
+      pincodes,
       pagination: {
         current: Number(page),
         pages: Math.ceil(total / limit),
@@ -647,178 +5601,149 @@ app.get('/api/orders', authenticateToken, async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Get orders error:', error);
+    console.error('Admin get pincodes error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get Single Order
-app.get('/api/orders/:id', authenticateToken, async (req, res) => {
+// Admin: Import Serviceable Pincodes (dry run unless dryRun=false)
+app.post('/api/admin/pincodes/import', authenticateToken, requireAdmin, express.text({ type: 'text/csv', limit: '10mb' }), async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const order = await Order.findOne({ _id: req.params.id, userId }).populate('products.productId');
-    
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+    const dryRunParam = req.query.dryRun !== undefined ? req.query.dryRun : req.body.dryRun;
+    const dryRun = String(dryRunParam) !== 'false';
+    let rows;
+    let firstRowNumber = 1;
+
+    const csvText = typeof req.body === 'string' ? req.body : req.body.csv;
+    if (typeof csvText === 'string') {
+      const csv = csvToObjects(csvText);
+      if (!csv.columns.includes('pincode')) {
+        return res.status(400).json({ error: 'CSV must have a header row with a pincode column' });
+      }
+      rows = csv.rows;
+      firstRowNumber = 2; // Header is line 1
+    } else if (Array.isArray(req.body.pincodes)) {
+      rows = req.body.pincodes;
+    } else {
+      return res.status(400).json({ error: 'Send CSV text or a JSON body with a pincodes array' });
     }
 
-    res.json(order);
+    const report = await importPincodeRows(rows, { dryRun, firstRowNumber });
+    res.json(report);
   } catch (error) {
-    console.error('Get order error:', error);
+    console.error('Admin import pincodes error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get User Profile
-app.get('/api/user/profile', authenticateToken, async (req, res) => {
+// Admin: Stop Delivering to a Pincode
+app.delete('/api/admin/pincodes/:pincode', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const user = await User.findById(userId).select('-password');
-    res.json(user);
+    const area = await ServiceablePincode.findOneAndUpdate(
+      { pincode: req.params.pincode },
+      { isActive: false, updatedAt: new Date() },
+      { new: true }
+    );
+    if (!area) {
+      return res.status(404).json({ error: 'Pincode not found' });
+    }
+
+    res.json({ message: 'Pincode deactivated successfully', pincode: area });
   } catch (error) {
-    console.error('Get profile error:', error);
+    console.error('Admin delete pincode error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update User Profile
-app.put('/api/user/profile', authenticateToken, async (req, res) => {
+// Admin: Bulk Edit Products
+app.patch('/api/admin/products/bulk', authenticateToken, requireAdmin, validateProductBulkEdit, handleValidationErrors, async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const updates = req.body;
-    
-    // Remove sensitive fields
-    delete updates.password;
-    delete updates.username;
-    delete updates.email;
-    
+    const { ids, updates } = req.body;
+    const fields = syncStockFlag(pickProductFields(updates));
+    delete fields.sku; // SKUs are unique per product
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'No editable fields provided' });
+    }
+
+    fields.updatedAt = new Date();
+
+    const result = await Product.updateMany(
+      { _id: { $in: ids } },
+      { $set: fields },
+      { runValidators: true }
+    );
+
+    checkWishlistAlerts(ids);
+    res.json({
+      message: 'Products updated successfully',
+      matched: result.matchedCount,
+      modified: result.modifiedCount
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Admin bulk edit products error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin: Update Product
+app.put('/api/admin/products/:id', authenticateToken, requireAdmin, validateProductUpdate, handleValidationErrors, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const updates = syncStockFlag(pickProductFields(req.body));
     updates.updatedAt = new Date();
-    
-    const user = await User.findByIdAndUpdate(userId, updates, { new: true }).select('-password');
-    res.json({ message: 'Profile updated successfully', user });
+
+    const product = await Product.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    checkWishlistAlerts([product._id]);
+    res.json({ message: 'Product updated successfully', product });
   } catch (error) {
-    console.error('Update profile error:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Admin update product error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get Categories
-app.get('/api/categories', async (req, res) => {
+// Admin: Soft Delete Product
+app.delete('/api/admin/products/:id', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const categories = await Product.aggregate([
-      { $match: { isActive: true } },
-      { $group: { _id: '$category', count: { $sum: 1 } } },
-      { $sort: { _id: 1 } }
-    ]);
-    res.json(categories);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const product = await Product.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, updatedAt: new Date() },
+      { new: true }
+    );
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json({ message: 'Product deactivated successfully', product });
   } catch (error) {
-    console.error('Get categories error:', error);
+    console.error('Admin delete product error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Seed initial products with better data
+// Seed initial products from data/seed-products.json
 const seedProducts = async () => {
   try {
     const count = await Product.countDocuments();
     if (count === 0) {
-      const products = [
-        {
-          name: "Premium Checkered Cotton Fabric - Purple",
-          description: "High quality checkered cotton fabric in elegant purple color. Perfect for tailoring custom formal and casual shirts. Made from 100% pure cotton with excellent breathability and comfort.",
-          price: 350,
-          category: "men's wear",
-          subcategory: "tailoring",
-          image: "https://images.pexels.com/photos/7679720/pexels-photo-7679720.jpeg?auto=compress&cs=tinysrgb&w=400",
-          images: [
-            "https://images.pexels.com/photos/7679720/pexels-photo-7679720.jpeg?auto=compress&cs=tinysrgb&w=400",
-            "https://images.pexels.com/photos/7679721/pexels-photo-7679721.jpeg?auto=compress&cs=tinysrgb&w=400"
-          ],
-          discount: 12,
-          stockQuantity: 50,
-          tags: ["cotton", "checkered", "purple", "formal", "premium"],
-          rating: 4.5
-        },
-        {
-          name: "Silera Camel Color Fabric Piece",
-          description: "Premium silera fabric in sophisticated camel color. Ideal for formal wear tailoring with excellent drape and finish. Perfect for business suits and formal shirts.",
-          price: 250,
-          category: "men's wear",
-          subcategory: "tailoring",
-          image: "https://images.pexels.com/photos/7679722/pexels-photo-7679722.jpeg?auto=compress&cs=tinysrgb&w=400",
-          stockQuantity: 30,
-          tags: ["silera", "camel", "formal", "business"],
-          rating: 4.3
-        },
-        {
-          name: "Cotton Reddit Color - Black & Blue Check",
-          description: "Cotton fabric with stylish black and blue checkered pattern. Great for casual shirts and everyday wear. Comfortable and durable material.",
-          price: 300,
-          category: "men's wear",
-          subcategory: "tailoring",
-          image: "https://images.pexels.com/photos/7679723/pexels-photo-7679723.jpeg?auto=compress&cs=tinysrgb&w=400",
-          stockQuantity: 40,
-          tags: ["cotton", "casual", "checkered", "black", "blue"],
-          rating: 4.2
-        },
-        {
-          name: "Regular Fit Cotton Casual Shirt Fabric - Black",
-          description: "Ready-to-tailor cotton fabric for casual shirts in classic black color. Perfect for everyday wear with comfortable fit and easy maintenance.",
-          price: 400,
-          category: "men's wear",
-          subcategory: "tailoring",
-          image: "https://images.pexels.com/photos/7679724/pexels-photo-7679724.jpeg?auto=compress&cs=tinysrgb&w=400",
-          stockQuantity: 35,
-          tags: ["cotton", "casual", "black", "regular-fit"],
-          rating: 4.4
-        },
-        {
-          name: "Grey Check Formal Cotton Fabric",
-          description: "Formal grey checkered cotton fabric for professional attire. Excellent quality with sophisticated appearance perfect for office wear.",
-          price: 250,
-          category: "men's wear",
-          subcategory: "tailoring",
-          image: "https://images.pexels.com/photos/7679725/pexels-photo-7679725.jpeg?auto=compress&cs=tinysrgb&w=400",
-          stockQuantity: 45,
-          tags: ["cotton", "formal", "grey", "checkered", "professional"],
-          rating: 4.1
-        },
-        {
-          name: "Premium Giza Cotton - Blue Square Pattern",
-          description: "Premium Giza cotton with elegant blue square pattern for formal wear. Superior quality fabric with excellent durability and comfort.",
-          price: 200,
-          category: "men's wear",
-          subcategory: "tailoring",
-          image: "https://images.pexels.com/photos/7679726/pexels-photo-7679726.jpeg?auto=compress&cs=tinysrgb&w=400",
-          stockQuantity: 25,
-          tags: ["giza-cotton", "premium", "blue", "formal", "square-pattern"],
-          rating: 4.6
-        },
-        // Women's wear products
-        {
-          name: "Elegant Silk Saree Fabric - Royal Blue",
-          description: "Beautiful silk fabric perfect for traditional sarees. Rich royal blue color with excellent drape and lustrous finish.",
-          price: 800,
-          category: "women's wear",
-          subcategory: "traditional",
-          image: "https://images.pexels.com/photos/8839887/pexels-photo-8839887.jpeg?auto=compress&cs=tinysrgb&w=400",
-          stockQuantity: 20,
-          tags: ["silk", "saree", "royal-blue", "traditional", "elegant"],
-          rating: 4.7
-        },
-        {
-          name: "Cotton Kurti Fabric - Floral Print",
-          description: "Soft cotton fabric with beautiful floral prints, perfect for casual kurtis and everyday wear.",
-          price: 180,
-          category: "women's wear",
-          subcategory: "casual",
-          image: "https://images.pexels.com/photos/8839888/pexels-photo-8839888.jpeg?auto=compress&cs=tinysrgb&w=400",
-          stockQuantity: 60,
-          tags: ["cotton", "kurti", "floral", "casual", "comfortable"],
-          rating: 4.3
-        }
-      ];
-
+      const products = require('./data/seed-products.json');
       await Product.insertMany(products);
       console.log('✅ Sample products seeded successfully');
     }
@@ -827,6 +5752,23 @@ const seedProducts = async () => {
   }
 };
 
+// Seed serviceable pincodes from data/serviceable-pincodes.csv
+const seedPincodes = async () => {
+  try {
+    const count = await ServiceablePincode.countDocuments();
+    if (count === 0) {
+      const csvText = fs.readFileSync(path.join(__dirname, 'data', 'serviceable-pincodes.csv'), 'utf8');
+      const report = await importPincodeRows(csvToObjects(csvText).rows, { dryRun: false, firstRowNumber: 2 });
+      console.log(`✅ ${report.summary.created} serviceable pincodes seeded successfully`);
+    }
+  } catch (error) {
+    console.error('❌ Error seeding pincodes:', error);
+  }
+};
+
+// Stock also comes back when orders are cancelled, so check wishlists regularly too
+const WISHLIST_ALERT_MINUTES = Number(process.env.WISHLIST_ALERT_MINUTES) || 60;
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -853,11 +5795,18 @@ app.use((error, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📱 Frontend: http://localhost:${PORT}`);
-  console.log(`🔗 API: http://localhost:${PORT}/api`);
-  seedProducts();
-});
+// Only listen when run directly; tests load the app and call it with supertest
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 Server running on port ${PORT}`);
+    console.log(`📱 Frontend: http://localhost:${PORT}`);
+    console.log(`🔗 API: http://localhost:${PORT}/api`);
+    seedProducts();
+    seedPincodes();
+    setInterval(() => checkWishlistAlerts(), WISHLIST_ALERT_MINUTES * 60 * 1000);
+    expireUnpaidOrders();
+    setInterval(() => expireUnpaidOrders(), 5 * 60 * 1000);
+  });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startApp, stopApp, clearDatabase, createUser, loginToken } = require('./helpers');
+
+// No real emails from wishlist alerts
+jest.mock('nodemailer', () => ({
+  createTransport: () => ({ sendMail: jest.fn().mockResolvedValue({}) })
+}));
+
+const newProduct = (overrides = {}) => ({
+  sku: 'FAB-001',
+  name: 'Giza cotton checks fabric',
+  description: 'Premium Giza cotton shirt piece',
+  price: 450,
+  category: "men's wear",
+  subcategory: 'tailoring',
+  image: '/images/giza.png',
+  images: ['/images/giza-1.png', '/images/giza-2.png'],
+  tags: ['cotton', 'formal'],
+  discount: 10,
+  deliveryDays: '3-4 DAYS',
+  deliveryCharge: 40,
+  stockQuantity: 25,
+  ...overrides
+});
+
+// Let the clock move on so a later updatedAt is measurably later
+const tick = () => new Promise(resolve => setTimeout(resolve, 20));
+
+describe('admin product management', () => {
+  let app;
+  let Product;
+  let adminToken;
+  let customerToken;
+
+  beforeAll(async () => {
+    app = await startApp();
+    Product = mongoose.model('Product');
+    await Product.init(); // Unique SKU index
+    await clearDatabase();
+    await createUser({ username: 'admin', email: 'admin@example.com', role: 'admin' });
+    await createUser({ username: 'customer', email: 'customer@example.com' });
+    adminToken = await loginToken(app, 'admin');
+    customerToken = await loginToken(app, 'customer');
+  });
+
+  afterAll(stopApp);
+
+  beforeEach(async () => {
+    await Product.deleteMany({});
+  });
+
+  const asAdmin = req => req.set('Authorization', `Bearer ${adminToken}`);
+
+  describe('POST /api/admin/products', () => {
+    test('creates a product with all catalog fields', async () => {
+      const res = await asAdmin(request(app).post('/api/admin/products')).send(newProduct());
+
+      expect(res.status).toBe(201);
+      const saved = await Product.findById(res.body.product._id).lean();
+      expect(saved).toMatchObject({
+        sku: 'FAB-001',
+        name: 'Giza cotton checks fabric',
+        images: ['/images/giza-1.png', '/images/giza-2.png'],
+        tags: ['cotton', 'formal'],
+        discount: 10,
+        deliveryDays: '3-4 DAYS',
+        deliveryCharge: 40,
+        isActive: true
+      });
+      expect(saved.updatedAt).toBeInstanceOf(Date);
+    });
+
+    test('rejects customers', async () => {
+      const res = await request(app)
+        .post('/api/admin/products')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send(newProduct());
+
+      expect(res.status).toBe(403);
+      expect(await Product.countDocuments()).toBe(0);
+    });
+
+    test('rejects requests without a token', async () => {
+      const res = await request(app).post('/api/admin/products').send(newProduct());
+      expect(res.status).toBe(401);
+    });
+
+    test('validates the body', async () => {
+      const res = await asAdmin(request(app).post('/api/admin/products'))
+        .send(newProduct({ price: -5, discount: 150 }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Validation failed');
+      expect(await Product.countDocuments()).toBe(0);
+    });
+
+    test('rejects a duplicate SKU', async () => {
+      await Product.create(newProduct());
+      const res = await asAdmin(request(app).post('/api/admin/products')).send(newProduct({ name: 'Another' }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('A product with this SKU already exists');
+    });
+  });
+
+  describe('PUT /api/admin/products/:id', () => {
+    test('updates fields and bumps updatedAt', async () => {
+      const product = await Product.create(newProduct());
+      await tick();
+
+      const res = await asAdmin(request(app).put(`/api/admin/products/${product._id}`))
+        .send({ price: 399, tags: ['cotton', 'sale'], deliveryCharge: 0 });
+
+      expect(res.status).toBe(200);
+      const saved = await Product.findById(product._id).lean();
+      expect(saved.price).toBe(399);
+      expect(saved.tags).toEqual(['cotton', 'sale']);
+      expect(saved.deliveryCharge).toBe(0);
+      expect(saved.name).toBe('Giza cotton checks fabric');
+      expect(saved.updatedAt.getTime()).toBeGreaterThan(product.updatedAt.getTime());
+    });
+
+    test('setting the stock count brings the product back in stock', async () => {
+      const product = await Product.create(newProduct({ stockQuantity: 0, inStock: false }));
+
+      await asAdmin(request(app).put(`/api/admin/products/${product._id}`)).send({ stockQuantity: 30 });
+
+      expect((await Product.findById(product._id).lean()).inStock).toBe(true);
+    });
+
+    test('an explicit inStock wins over the stock count', async () => {
+      const product = await Product.create(newProduct());
+
+      await asAdmin(request(app).put(`/api/admin/products/${product._id}`)).send({ stockQuantity: 30, inStock: false });
+
+      const saved = await Product.findById(product._id).lean();
+      expect(saved.stockQuantity).toBe(30);
+      expect(saved.inStock).toBe(false);
+    });
+
+    test('returns 404 for an unknown or invalid id', async () => {
+      const unknown = await asAdmin(request(app).put(`/api/admin/products/${new mongoose.Types.ObjectId()}`))
+        .send({ price: 10 });
+      const invalid = await asAdmin(request(app).put('/api/admin/products/not-an-id')).send({ price: 10 });
+
+      expect(unknown.status).toBe(404);
+      expect(invalid.status).toBe(404);
+    });
+
+    test('rejects customers', async () => {
+      const product = await Product.create(newProduct());
+      const res = await request(app)
+        .put(`/api/admin/products/${product._id}`)
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ price: 1 });
+
+      expect(res.status).toBe(403);
+      expect((await Product.findById(product._id)).price).toBe(450);
+    });
+  });
+
+  describe('DELETE /api/admin/products/:id', () => {
+    test('deactivates the product, bumps updatedAt and hides it from the catalog', async () => {
+      const product = await Product.create(newProduct());
+      await tick();
+
+      const res = await asAdmin(request(app).delete(`/api/admin/products/${product._id}`));
+
+      expect(res.status).toBe(200);
+      const saved = await Product.findById(product._id).lean();
+      expect(saved.isActive).toBe(false);
+      expect(saved.updatedAt.getTime()).toBeGreaterThan(product.updatedAt.getTime());
+
+      const list = await request(app).get('/api/products');
+      expect(list.body.products).toHaveLength(0);
+      const single = await request(app).get(`/api/products/${product._id}`);
+      expect(single.status).toBe(404);
+    });
+
+    test('returns 404 for an unknown id', async () => {
+      const res = await asAdmin(request(app).delete(`/api/admin/products/${new mongoose.Types.ObjectId()}`));
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /api/admin/products/bulk', () => {
+    test('updates every listed product and bumps updatedAt', async () => {
+      const first = await Product.create(newProduct());
+      const second = await Product.create(newProduct({ sku: 'FAB-002', name: 'Linen shirt piece' }));
+      const untouched = await Product.create(newProduct({ sku: 'FAB-003', name: 'Silk blend' }));
+      await tick();
+
+      const res = await asAdmin(request(app).patch('/api/admin/products/bulk')).send({
+        ids: [first._id, second._id],
+        updates: { discount: 25, deliveryDays: '2-3 DAYS', tags: ['festive'] }
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ matched: 2, modified: 2 });
+
+      for (const product of [first, second]) {
+        const saved = await Product.findById(product._id).lean();
+        expect(saved.discount).toBe(25);
+        expect(saved.deliveryDays).toBe('2-3 DAYS');
+        expect(saved.tags).toEqual(['festive']);
+        expect(saved.updatedAt.getTime()).toBeGreaterThan(product.updatedAt.getTime());
+      }
+
+      const other = await Product.findById(untouched._id).lean();
+      expect(other.discount).toBe(10);
+      expect(other.updatedAt.getTime()).toBe(untouched.updatedAt.getTime());
+    });
+
+    test('does not change SKUs', async () => {
+      const product = await Product.create(newProduct());
+      const res = await asAdmin(request(app).patch('/api/admin/products/bulk')).send({
+        ids: [product._id],
+        updates: { sku: 'NEW-SKU', price: 300 }
+      });
+
+      expect(res.status).toBe(200);
+      const saved = await Product.findById(product._id).lean();
+      expect(saved.sku).toBe('FAB-001');
+      expect(saved.price).toBe(300);
+    });
+
+    test('rejects invalid ids and values', async () => {
+      const product = await Product.create(newProduct());
+      const badId = await asAdmin(request(app).patch('/api/admin/products/bulk'))
+        .send({ ids: ['nope'], updates: { price: 1 } });
+      const badValue = await asAdmin(request(app).patch('/api/admin/products/bulk'))
+        .send({ ids: [product._id], updates: { discount: 101 } });
+      const nothing = await asAdmin(request(app).patch('/api/admin/products/bulk'))
+        .send({ ids: [product._id], updates: { rating: 5 } });
+
+      expect(badId.status).toBe(400);
+      expect(badValue.status).toBe(400);
+      expect(nothing.status).toBe(400);
+      expect((await Product.findById(product._id)).discount).toBe(10);
+    });
+  });
+});
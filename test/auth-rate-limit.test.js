@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startApp, stopApp, clearDatabase, createUser, login } = require('./helpers');
+
+jest.mock('nodemailer', () => ({
+  createTransport: () => ({ sendMail: jest.fn().mockResolvedValue({}) })
+}));
+
+// The limiter counts per network for the whole file, so this is one scenario
+describe('per-network limit on login and password reset', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startApp({ AUTH_RATE_LIMIT: '3' });
+    await clearDatabase();
+    await createUser();
+  });
+
+  afterAll(stopApp);
+
+  test('spraying guesses across accounts and endpoints hits the shared limit', async () => {
+    // Different usernames each time, so no single account gets locked or delayed
+    const first = await login(app, 'alice', 'Guess1234');
+    const second = await login(app, 'bob', 'Guess1234');
+    const third = await request(app).post('/api/auth/forgot-password').send({ email: 'carol@example.com' });
+
+    expect(first.status).toBe(400);
+    expect(second.status).toBe(400);
+    expect(third.status).toBe(200);
+    expect(first.headers['x-ratelimit-limit']).toBe('3');
+    expect(third.headers['x-ratelimit-remaining']).toBe('0');
+
+    const blocked = [
+      await login(app, 'ravi', 'Guess1234'),
+      await request(app).post('/api/auth/forgot-password').send({ email: 'ravi@example.com' }),
+      await request(app).post('/api/auth/reset-password').send({ token: 'a'.repeat(64), newPassword: 'Tailor2025' })
+    ];
+    blocked.forEach(res => {
+      expect(res.status).toBe(429);
+      expect(res.body.error).toBe('Too many attempts from this network. Please try again later.');
+    });
+
+    // The blocked guess never reached the account
+    const user = await mongoose.model('User').findOne({ username: 'ravi' }).lean();
+    expect(user.failedLoginAttempts).toBe(0);
+
+    // Other endpoints are not affected by this limiter
+    expect((await request(app).get('/api/products')).status).toBe(200);
+  });
+});
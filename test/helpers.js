@@ -0,0 +1,68 @@
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let mongo;
+
+// Start an in-memory MongoDB and load the app against it. Extra env vars are
+// applied first, since the server reads its settings when it is loaded.
+const startApp = async (env = {}) => {
+  mongo = await MongoMemoryServer.create();
+  Object.assign(process.env, {
+    JWT_SECRET: 'test-jwt-secret',
+    MONGODB_URI: mongo.getUri(),
+    ...env
+  });
+  const app = require('../server');
+  await mongoose.connection.asPromise();
+  return app;
+};
+
+const stopApp = async () => {
+  await mongoose.disconnect();
+  if (mongo) await mongo.stop();
+};
+
+const clearDatabase = async () => {
+  for (const collection of Object.values(mongoose.connection.collections)) {
+    await collection.deleteMany({});
+  }
+};
+
+const TEST_PASSWORD = 'Tailor2024';
+
+const createUser = async (overrides = {}) => {
+  const { password = TEST_PASSWORD, ...fields } = overrides;
+  return mongoose.model('User').create({
+    firstname: 'Ravi',
+    lastname: 'Kumar',
+    username: 'ravi',
+    email: 'ravi@example.com',
+    password: await bcrypt.hash(password, 10),
+    state: 'Telangana',
+    district: 'Hyderabad',
+    mandal: 'Ameerpet',
+    pincode: '500016',
+    address1: '12 Main Road',
+    address2: 'Near the park',
+    phone: '9876543210',
+    alternatePhone: '9876543211',
+    emailVerified: true,
+    ...fields
+  });
+};
+
+const login = (app, username, password = TEST_PASSWORD) =>
+  request(app).post('/api/auth/login').send({ username, password });
+
+// Log in and return the access token
+const loginToken = async (app, username, password = TEST_PASSWORD) => {
+  const res = await login(app, username, password);
+  if (res.status !== 200) {
+    throw new Error(`Login failed with ${res.status}: ${JSON.stringify(res.body)}`);
+  }
+  return res.body.token;
+};
+
+module.exports = { startApp, stopApp, clearDatabase, createUser, login, loginToken, TEST_PASSWORD };
@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startApp, stopApp, clearDatabase, createUser, login, loginToken, TEST_PASSWORD } = require('./helpers');
+
+const mockSendMail = jest.fn().mockResolvedValue({});
+jest.mock('nodemailer', () => ({
+  createTransport: () => ({ sendMail: mockSendMail })
+}));
+
+const WRONG_PASSWORD = 'Guess1234';
+
+describe('login brute-force protection', () => {
+  let app;
+  let User;
+
+  beforeAll(async () => {
+    // The per-network limiter is covered in auth-rate-limit.test.js; keep it out of the way here
+    app = await startApp({ AUTH_RATE_LIMIT: '1000', LOGIN_MAX_ATTEMPTS: '5', LOGIN_LOCK_MINUTES: '15' });
+    User = mongoose.model('User');
+  });
+
+  afterAll(stopApp);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await createUser();
+    mockSendMail.mockClear();
+  });
+
+  const account = () => User.findOne({ username: 'ravi' }).lean();
+
+  // Pretend the last failure was a minute ago, so the progressive delay has passed
+  const waitOutDelay = () => User.updateOne(
+    { username: 'ravi' },
+    { $set: { lastFailedLoginAt: new Date(Date.now() - 60 * 1000) } }
+  );
+
+  // An attacker guessing patiently: every guess waits out the delay first
+  const guess = async count => {
+    const responses = [];
+    for (let i = 0; i < count; i++) {
+      await waitOutDelay();
+      responses.push(await login(app, 'ravi', WRONG_PASSWORD));
+    }
+    return responses;
+  };
+
+  const lockAccount = () => guess(5);
+
+  test('gives the same answer for a wrong password and an unknown username', async () => {
+    const wrongPassword = await login(app, 'ravi', WRONG_PASSWORD);
+    const unknownUser = await login(app, 'nobody', WRONG_PASSWORD);
+
+    expect(wrongPassword.status).toBe(400);
+    expect(unknownUser.status).toBe(400);
+    expect(unknownUser.body).toEqual(wrongPassword.body);
+  });
+
+  test('counts failed logins on the account', async () => {
+    await guess(2);
+
+    const user = await account();
+    expect(user.failedLoginAttempts).toBe(2);
+    expect(user.lastFailedLoginAt).toBeInstanceOf(Date);
+  });
+
+  describe('progressive delay', () => {
+    test('rapid guesses after three failures are refused without checking the password', async () => {
+      for (let i = 0; i < 3; i++) {
+        expect((await login(app, 'ravi', WRONG_PASSWORD)).status).toBe(400);
+      }
+
+      // Even the right password is refused until the delay has passed
+      const res = await login(app, 'ravi', TEST_PASSWORD);
+      expect(res.status).toBe(429);
+      expect(res.body.retryAfter).toBe(1);
+      expect(res.headers['retry-after']).toBe('1');
+      expect((await account()).failedLoginAttempts).toBe(3);
+    });
+
+    test('the delay doubles with each further failure', async () => {
+      await guess(4);
+
+      const res = await login(app, 'ravi', WRONG_PASSWORD);
+      expect(res.status).toBe(429);
+      expect(res.body.retryAfter).toBe(2);
+    });
+
+    test('a guess after the delay is checked normally', async () => {
+      await guess(3);
+      await waitOutDelay();
+
+      const res = await login(app, 'ravi', TEST_PASSWORD);
+      expect(res.status).toBe(200);
+      expect(res.body.token).toBeDefined();
+    });
+  });
+
+  describe('lockout', () => {
+    test('locks the account on the LOGIN_MAX_ATTEMPTS-th failure', async () => {
+      const responses = await lockAccount();
+
+      expect(responses.slice(0, 4).map(res => res.status)).toEqual([400, 400, 400, 400]);
+      expect(responses[4].status).toBe(423);
+
+      const user = await account();
+      expect(user.failedLoginAttempts).toBe(5);
+      const lockMinutes = (user.lockUntil.getTime() - Date.now()) / 60000;
+      expect(lockMinutes).toBeGreaterThan(14);
+      expect(lockMinutes).toBeLessThanOrEqual(15);
+    });
+
+    test('refuses the correct password while locked', async () => {
+      await lockAccount();
+      await waitOutDelay();
+
+      const res = await login(app, 'ravi', TEST_PASSWORD);
+      expect(res.status).toBe(423);
+      expect(res.body.error).toMatch(/locked/);
+      expect(res.body.retryAfter).toBeGreaterThan(14 * 60);
+      expect(res.body.token).toBeUndefined();
+    });
+
+    test('emails the account owner once when the account is locked', async () => {
+      await guess(4);
+      expect(mockSendMail).not.toHaveBeenCalled();
+
+      await guess(1);
+      expect(mockSendMail).toHaveBeenCalledTimes(1);
+      expect(mockSendMail.mock.calls[0][0]).toMatchObject({
+        to: 'ravi@example.com',
+        subject: expect.stringMatching(/locked/)
+      });
+
+      // Guesses against a locked account do not send more emails
+      await guess(3);
+      expect(mockSendMail).toHaveBeenCalledTimes(1);
+    });
+
+    test('guesses while locked do not extend the lock', async () => {
+      await lockAccount();
+      const { lockUntil } = await account();
+
+      await guess(3);
+      expect((await account()).lockUntil.getTime()).toBe(lockUntil.getTime());
+    });
+  });
+
+  describe('current password checks on account changes', () => {
+    const changePassword = (token, currentPassword) => request(app)
+      .post('/api/user/change-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword, newPassword: 'Stitch2025' });
+
+    test('wrong current passwords count toward the same lockout as logins', async () => {
+      const token = await loginToken(app, 'ravi');
+      await guess(2);
+
+      const statuses = [];
+      for (let i = 0; i < 3; i++) {
+        await waitOutDelay();
+        statuses.push((await changePassword(token, WRONG_PASSWORD)).status);
+      }
+
+      expect(statuses).toEqual([400, 400, 423]);
+      expect((await account()).failedLoginAttempts).toBe(5);
+
+      await waitOutDelay();
+      expect((await login(app, 'ravi', TEST_PASSWORD)).status).toBe(423);
+    });
+
+    test('the progressive delay applies to them too', async () => {
+      const token = await loginToken(app, 'ravi');
+      await guess(3);
+
+      const res = await changePassword(token, TEST_PASSWORD);
+      expect(res.status).toBe(429);
+      expect(res.headers['retry-after']).toBe('1');
+    });
+
+    test('a wrong password when changing the email is counted as well', async () => {
+      const token = await loginToken(app, 'ravi');
+
+      const res = await request(app)
+        .post('/api/user/change-email')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: WRONG_PASSWORD, newEmail: 'ravi.new@example.com' });
+
+      expect(res.status).toBe(400);
+      expect((await account()).failedLoginAttempts).toBe(1);
+    });
+  });
+
+  describe('expiry and reset', () => {
+    const expireLock = () => User.updateOne(
+      { username: 'ravi' },
+      { $set: { lockUntil: new Date(Date.now() - 1000), lastFailedLoginAt: new Date(Date.now() - 16 * 60 * 1000) } }
+    );
+
+    test('the correct password works once the lock has run out, and clears the counter', async () => {
+      await lockAccount();
+      await expireLock();
+
+      const res = await login(app, 'ravi', TEST_PASSWORD);
+      expect(res.status).toBe(200);
+
+      const user = await account();
+      expect(user.failedLoginAttempts).toBe(0);
+      expect(user.lockUntil).toBeUndefined();
+      expect(user.lastFailedLoginAt).toBeUndefined();
+    });
+
+    test('a wrong password after the lock has run out starts a fresh count', async () => {
+      await lockAccount();
+      await expireLock();
+      mockSendMail.mockClear();
+
+      const res = await login(app, 'ravi', WRONG_PASSWORD);
+      expect(res.status).toBe(400);
+
+      const user = await account();
+      expect(user.failedLoginAttempts).toBe(1);
+      expect(user.lockUntil).toBeUndefined();
+      expect(mockSendMail).not.toHaveBeenCalled();
+    });
+
+    test('a successful login resets the counter', async () => {
+      await guess(3);
+      await waitOutDelay();
+
+      expect((await login(app, 'ravi', TEST_PASSWORD)).status).toBe(200);
+      expect((await account()).failedLoginAttempts).toBe(0);
+
+      // The next mistake is the first again, with no delay
+      expect((await login(app, 'ravi', WRONG_PASSWORD)).status).toBe(400);
+      expect((await login(app, 'ravi', WRONG_PASSWORD)).status).toBe(400);
+    });
+  });
+});
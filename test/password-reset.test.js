@@ -0,0 +1,100 @@
+const request = require('supertest');
+const { startApp, stopApp, clearDatabase, createUser, login, TEST_PASSWORD } = require('./helpers');
+
+const mockSendMail = jest.fn().mockResolvedValue({});
+jest.mock('nodemailer', () => ({
+  createTransport: () => ({ sendMail: mockSendMail })
+}));
+
+const NEW_PASSWORD = 'Stitch2025';
+
+describe('password reset', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startApp({ AUTH_RATE_LIMIT: '1000', APP_URL: 'https://shop.example.com/' });
+  });
+
+  afterAll(stopApp);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await createUser();
+    mockSendMail.mockClear();
+  });
+
+  const forgot = email => request(app).post('/api/auth/forgot-password').send({ email });
+  const reset = (token, newPassword = NEW_PASSWORD) =>
+    request(app).post('/api/auth/reset-password').send({ token, newPassword });
+
+  // The reply goes out before the email, so wait for the reset email to be sent
+  const waitForResetEmail = async () => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const call = mockSendMail.mock.calls.find(([mail]) => /Password Reset Request/.test(mail.subject));
+      if (call) return call[0];
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Reset email was not sent');
+  };
+
+  const requestResetToken = async () => {
+    mockSendMail.mockClear();
+    await forgot('ravi@example.com');
+    const mail = await waitForResetEmail();
+    return mail.html.match(/token=([a-f0-9]{64})/)[1];
+  };
+
+  test('gives the same answer for known and unknown emails', async () => {
+    const known = await forgot('ravi@example.com');
+    const unknown = await forgot('nobody@example.com');
+
+    expect(known.status).toBe(200);
+    expect(unknown.status).toBe(200);
+    expect(unknown.body).toEqual(known.body);
+  });
+
+  test('builds the link from APP_URL, not the Host header', async () => {
+    mockSendMail.mockClear();
+    await forgot('ravi@example.com').set('Host', 'attacker.example.net');
+    const mail = await waitForResetEmail();
+
+    expect(mail.html).toContain('https://shop.example.com/reset_password.html?token=');
+    expect(mail.html).not.toContain('attacker.example.net');
+  });
+
+  test('a reset link sets the new password', async () => {
+    const token = await requestResetToken();
+
+    const res = await reset(token);
+    expect(res.status).toBe(200);
+    expect((await login(app, 'ravi', NEW_PASSWORD)).status).toBe(200);
+    expect((await login(app, 'ravi', TEST_PASSWORD)).status).toBe(400);
+  });
+
+  describe('token reuse', () => {
+    test('a used link cannot be used again', async () => {
+      const token = await requestResetToken();
+      expect((await reset(token)).status).toBe(200);
+
+      const again = await reset(token, 'Another2026');
+      expect(again.status).toBe(400);
+      expect(again.body.error).toBe('Invalid or expired reset token');
+      expect((await login(app, 'ravi', NEW_PASSWORD)).status).toBe(200);
+    });
+
+    test('two requests racing with one link: only one succeeds', async () => {
+      const token = await requestResetToken();
+
+      const responses = await Promise.all([reset(token), reset(token, 'Another2026')]);
+      expect(responses.map(res => res.status).sort()).toEqual([200, 400]);
+    });
+
+    test('asking for a new link retires the old one', async () => {
+      const oldToken = await requestResetToken();
+      const newToken = await requestResetToken();
+
+      expect((await reset(oldToken)).status).toBe(400);
+      expect((await reset(newToken)).status).toBe(200);
+    });
+  });
+});
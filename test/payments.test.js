@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startApp, stopApp, clearDatabase, createUser } = require('./helpers');
+
+jest.mock('nodemailer', () => ({
+  createTransport: () => ({ sendMail: jest.fn().mockResolvedValue({}) })
+}));
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+const INTENT_ID = 'mock_pi_test';
+
+const webhookEvent = (overrides = {}) => ({
+  id: 'mock_evt_1',
+  type: 'payment.succeeded',
+  data: { intentId: INTENT_ID, amount: 500 },
+  ...overrides
+});
+
+// Send an event the way the mock gateway does: signed over the exact body
+const sendWebhook = (app, event, secret = WEBHOOK_SECRET) => {
+  const rawBody = JSON.stringify(event);
+  return request(app)
+    .post('/api/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set('x-mock-signature', crypto.createHmac('sha256', secret).update(rawBody).digest('hex'))
+    .send(rawBody);
+};
+
+describe('payment webhooks', () => {
+  let app;
+  let Order;
+  let Transaction;
+  let order;
+
+  beforeAll(async () => {
+    app = await startApp({ PAYMENT_PROVIDER: 'mock', PAYMENT_WEBHOOK_SECRET: WEBHOOK_SECRET });
+    Order = mongoose.model('Order');
+    Transaction = mongoose.model('Transaction');
+  });
+
+  afterAll(stopApp);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    const user = await createUser();
+    order = await Order.create({
+      userId: user._id,
+      products: [{ productId: new mongoose.Types.ObjectId(), quantity: 1, price: 500 }],
+      deliveryAddress: { name: 'Ravi Kumar', phone: '9876543210', pincode: '500016', address: '12 Main Road' },
+      paymentMethod: 'UPI',
+      totalAmount: 500,
+      payment: { provider: 'mock', intentId: INTENT_ID, amount: 500, currency: 'INR', processedEvents: [] }
+    });
+  });
+
+  const current = () => Order.findById(order._id).lean();
+
+  describe('signature', () => {
+    test('rejects an event signed with the wrong secret', async () => {
+      const res = await sendWebhook(app, webhookEvent(), 'not-the-secret');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid webhook signature');
+      expect((await current()).paymentStatus).toBe('Pending');
+    });
+
+    test('rejects an unsigned event', async () => {
+      const res = await request(app).post('/api/payments/webhook').send(webhookEvent());
+
+      expect(res.status).toBe(400);
+      expect((await current()).paymentStatus).toBe('Pending');
+    });
+
+    test('rejects a body changed after signing', async () => {
+      const rawBody = JSON.stringify(webhookEvent());
+      const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(rawBody).digest('hex');
+      const res = await request(app)
+        .post('/api/payments/webhook')
+        .set('Content-Type', 'application/json')
+        .set('x-mock-signature', signature)
+        .send(rawBody.replace('"amount":500', '"amount":1'));
+
+      expect(res.status).toBe(400);
+      expect((await current()).paymentStatus).toBe('Pending');
+    });
+  });
+
+  test('a signed success marks the order Paid and Confirmed', async () => {
+    const res = await sendWebhook(app, webhookEvent());
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true, paymentStatus: 'Paid' });
+    const saved = await current();
+    expect(saved.paymentStatus).toBe('Paid');
+    expect(saved.status).toBe('Confirmed');
+    expect(saved.payment.processedEvents).toEqual(['mock_evt_1']);
+  });
+
+  test('a signed failure marks the payment Failed and keeps the order Placed', async () => {
+    const res = await sendWebhook(app, webhookEvent({
+      type: 'payment.failed',
+      data: { intentId: INTENT_ID, amount: 500, failureReason: 'Declined' }
+    }));
+
+    expect(res.status).toBe(200);
+    const saved = await current();
+    expect(saved.paymentStatus).toBe('Failed');
+    expect(saved.status).toBe('Placed');
+    expect(saved.payment.failureReason).toBe('Declined');
+  });
+
+  test('rejects a success for the wrong amount', async () => {
+    const res = await sendWebhook(app, webhookEvent({ data: { intentId: INTENT_ID, amount: 1 } }));
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Payment amount does not match the order');
+    expect((await current()).paymentStatus).toBe('Pending');
+  });
+
+  describe('idempotency', () => {
+    test('a retried event is applied once', async () => {
+      const first = await sendWebhook(app, webhookEvent());
+      const retry = await sendWebhook(app, webhookEvent());
+
+      expect(first.status).toBe(200);
+      expect(retry.status).toBe(200);
+      expect(retry.body).toEqual({ received: true, duplicate: true });
+      expect((await current()).payment.processedEvents).toEqual(['mock_evt_1']);
+      expect(await Transaction.countDocuments({ orderId: order._id, type: 'Success' })).toBe(1);
+    });
+
+    test('concurrent deliveries of one event are applied once', async () => {
+      const responses = await Promise.all([1, 2, 3].map(() => sendWebhook(app, webhookEvent())));
+
+      expect(responses.map(res => res.status)).toEqual([200, 200, 200]);
+      expect(responses.filter(res => res.body.duplicate)).toHaveLength(2);
+      expect(await Transaction.countDocuments({ orderId: order._id, type: 'Success' })).toBe(1);
+    });
+
+    test('a late failure after success does not undo the payment', async () => {
+      await sendWebhook(app, webhookEvent());
+      const late = await sendWebhook(app, webhookEvent({ id: 'mock_evt_2', type: 'payment.failed' }));
+
+      expect(late.status).toBe(200);
+      expect((await current()).paymentStatus).toBe('Paid');
+    });
+  });
+});
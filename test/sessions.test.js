@@ -0,0 +1,153 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startApp, stopApp, clearDatabase, createUser, login } = require('./helpers');
+
+jest.mock('nodemailer', () => ({
+  createTransport: () => ({ sendMail: jest.fn().mockResolvedValue({}) })
+}));
+
+describe('sessions and refresh tokens', () => {
+  let app;
+  let Session;
+
+  beforeAll(async () => {
+    app = await startApp({ AUTH_RATE_LIMIT: '1000' });
+    Session = mongoose.model('Session');
+  });
+
+  afterAll(stopApp);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await createUser();
+  });
+
+  const signIn = async () => (await login(app, 'ravi')).body;
+  const refresh = refreshToken => request(app).post('/api/auth/refresh').send({ refreshToken });
+  const profile = token => request(app).get('/api/user/profile').set('Authorization', `Bearer ${token}`);
+
+  // Pretend the last rotation happened this long ago
+  const rotatedSecondsAgo = seconds => Session.updateMany(
+    {},
+    { $set: { rotatedAt: new Date(Date.now() - seconds * 1000) } }
+  );
+
+  describe('rotation', () => {
+    test('a refresh returns a new pair and retires the old refresh token', async () => {
+      const first = await signIn();
+
+      const res = await refresh(first.refreshToken);
+      expect(res.status).toBe(200);
+      expect(res.body.token).toBeDefined();
+      expect(res.body.refreshToken).not.toBe(first.refreshToken);
+
+      // Same session, so one row
+      expect(await Session.countDocuments()).toBe(1);
+      expect((await refresh(first.refreshToken)).status).toBe(401);
+      expect((await refresh(res.body.refreshToken)).status).toBe(200);
+    });
+
+    test('the new access token works', async () => {
+      const first = await signIn();
+      const res = await refresh(first.refreshToken);
+
+      expect((await profile(res.body.token)).status).toBe(200);
+    });
+
+    test('rejects an unknown refresh token', async () => {
+      await signIn();
+      const res = await refresh('not-a-real-token');
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Session has ended. Please log in again');
+    });
+  });
+
+  describe('reuse of a rotated token', () => {
+    test('within the grace period (two tabs refreshing) the session survives', async () => {
+      const first = await signIn();
+      const second = (await refresh(first.refreshToken)).body;
+
+      expect((await refresh(first.refreshToken)).status).toBe(401);
+
+      const session = await Session.findOne().lean();
+      expect(session.revokedAt).toBeUndefined();
+      expect((await refresh(second.refreshToken)).status).toBe(200);
+    });
+
+    test('after the grace period it revokes the session', async () => {
+      const first = await signIn();
+      const second = (await refresh(first.refreshToken)).body;
+      await rotatedSecondsAgo(60);
+
+      // The stolen, already-rotated token is replayed
+      expect((await refresh(first.refreshToken)).status).toBe(401);
+
+      const session = await Session.findOne().lean();
+      expect(session.revokedAt).toBeInstanceOf(Date);
+      // The legitimate holder is signed out too
+      expect((await refresh(second.refreshToken)).status).toBe(401);
+      expect((await profile(second.token)).status).toBe(401);
+    });
+
+    test('leaves the account\'s other sessions alone', async () => {
+      const phone = await signIn();
+      const laptop = await signIn();
+      await refresh(phone.refreshToken);
+      await rotatedSecondsAgo(60);
+
+      await refresh(phone.refreshToken);
+
+      expect((await refresh(laptop.refreshToken)).status).toBe(200);
+    });
+  });
+
+  describe('logout', () => {
+    test('ends only this session', async () => {
+      const phone = await signIn();
+      const laptop = await signIn();
+
+      const res = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${phone.token}`)
+        .send({ refreshToken: phone.refreshToken });
+
+      expect(res.status).toBe(200);
+      expect((await profile(phone.token)).status).toBe(401);
+      expect((await refresh(phone.refreshToken)).status).toBe(401);
+      expect((await profile(laptop.token)).status).toBe(200);
+    });
+
+    test('allDevices with an active refresh token ends every session', async () => {
+      const phone = await signIn();
+      const laptop = await signIn();
+
+      const res = await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: phone.refreshToken, allDevices: true });
+
+      expect(res.status).toBe(200);
+      expect((await profile(laptop.token)).status).toBe(401);
+      expect(await Session.countDocuments({ revokedAt: null })).toBe(0);
+    });
+
+    test('allDevices refuses an old access token whose session has ended', async () => {
+      const stolen = await signIn();
+      const laptop = await signIn();
+      await request(app).post('/api/auth/logout').send({ refreshToken: stolen.refreshToken });
+
+      // An expired token from the ended session, still correctly signed
+      const { userId, username, sid } = jwt.decode(stolen.token);
+      const expired = jwt.sign({ userId, username, sid, exp: Math.floor(Date.now() / 1000) - 3600 }, 'test-jwt-secret');
+
+      const res = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${expired}`)
+        .send({ allDevices: true });
+
+      expect(res.status).toBe(401);
+      expect((await profile(laptop.token)).status).toBe(200);
+    });
+  });
+});